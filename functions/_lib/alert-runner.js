@@ -0,0 +1,94 @@
+import { alertSnapshot, evaluateRules } from "../../lib/alerts.js";
+import { DEFAULT_PROFILE, findBuiltinProfile } from "../../lib/profiles.js";
+import { normalizeGeoRisk } from "../../lib/georisk.js";
+
+/* -------------------- alert subscriptions -------------------- */
+
+export const SUB_PREFIX = "alerts:sub:";
+export const INBOX_PREFIX = "alerts:inbox:";
+const INBOX_LIMIT = 20;
+
+export async function subscriptionId(endpoint) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(String(endpoint)));
+  return [...new Uint8Array(digest)].slice(0, 16).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function saveSubscription(store, { subscription, rules, profileId, geoRisk }) {
+  const id = await subscriptionId(subscription.endpoint);
+  const existing = await store.get(SUB_PREFIX + id);
+  const now = new Date().toISOString();
+
+  const record = {
+    id,
+    subscription,
+    rules,
+    profileId: findBuiltinProfile(profileId)?.id ?? DEFAULT_PROFILE.id,
+    // null follows the derived geo-risk level; a level is the device's manual override.
+    geoRisk: normalizeGeoRisk(geoRisk),
+    // Keep the edge-trigger state so re-saving rules does not re-fire everything at once.
+    state: existing?.state ?? {},
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now
+  };
+
+  await store.put(SUB_PREFIX + id, record);
+  return record;
+}
+
+export async function deleteSubscription(store, endpoint) {
+  const id = await subscriptionId(endpoint);
+  await store.delete(SUB_PREFIX + id);
+  await store.delete(INBOX_PREFIX + id);
+  return id;
+}
+
+export async function takeInbox(store, endpoint) {
+  const id = await subscriptionId(endpoint);
+  const messages = (await store.get(INBOX_PREFIX + id)) || [];
+  if (messages.length) await store.delete(INBOX_PREFIX + id);
+  return messages;
+}
+
+/* -------------------- one evaluation pass -------------------- */
+
+// market: an /api/market payload. sender: { send(subscription) → { ok, gone } } (see webpush.js).
+export async function runAlertCycle({ store, market, sender }) {
+  const keys = await store.list(SUB_PREFIX);
+  const summary = { checked: 0, fired: 0, pushed: 0, removed: 0, errors: [] };
+
+  for (const key of keys) {
+    const sub = await store.get(key);
+    if (!sub) continue;
+    summary.checked++;
+
+    const profile = findBuiltinProfile(sub.profileId) || DEFAULT_PROFILE;
+    const snap = alertSnapshot(market, profile, sub.geoRisk);
+    const { fired, state } = evaluateRules(sub.rules || [], snap, sub.state || {});
+
+    if (fired.length) {
+      summary.fired += fired.length;
+      const inboxKey = INBOX_PREFIX + sub.id;
+      const inbox = (await store.get(inboxKey)) || [];
+      const at = market?.asOf || new Date().toISOString();
+      await store.put(inboxKey, inbox.concat(fired.map(f => ({ ...f, at }))).slice(-INBOX_LIMIT), { ttlSeconds: 7 * 86400 });
+
+      try {
+        const res = await sender.send(sub.subscription);
+        if (res.gone) {
+          await store.delete(key);
+          await store.delete(inboxKey);
+          summary.removed++;
+          continue;
+        }
+        if (res.ok) summary.pushed++;
+        else summary.errors.push({ id: sub.id, error: "push_failed", status: res.status });
+      } catch (e) {
+        summary.errors.push({ id: sub.id, error: "push_failed", message: String(e?.message || e) });
+      }
+    }
+
+    await store.put(key, { ...sub, state });
+  }
+
+  return summary;
+}
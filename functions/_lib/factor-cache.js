@@ -0,0 +1,322 @@
+import {
+  FACTOR_FETCHERS, SERIES_FETCHERS, fetchFactors, assembleMarketResult, instrumentFetchers, assembleInstrument, instrumentFromMarket,
+  localMarketFetchers, assembleLocalMarket, localMarketFromMarket
+} from "./market-data.js";
+import { INSTRUMENTS, DEFAULT_INSTRUMENT_ID } from "../../lib/instruments.js";
+import { MARKETS, DEFAULT_MARKET_ID } from "../../lib/markets.js";
+
+/* -------------------- per-factor refresh schedule -------------------- */
+
+// The cron Worker calls refreshDueFactors every 5 minutes; /api/market only reads.
+// Cadence follows each source: FX trades around the clock, Treasury/FRED publish once a day,
+// and the NSE-listed ETF (and SBI's iNAV) only move during the NSE session.
+
+export const FACTOR_PREFIX = "factor:";
+
+export const FACTOR_SCHEDULE = {
+  dxy: { kind: "always", refreshMinutes: 15, staleMinutes: 60 },
+  usdInr: { kind: "always", refreshMinutes: 15, staleMinutes: 60 },
+  goldSpot: { kind: "always", refreshMinutes: 15, staleMinutes: 60 },
+  realYield: { kind: "always", refreshMinutes: 360, staleMinutes: 1440 },
+  nominalCurve: { kind: "always", refreshMinutes: 360, staleMinutes: 1440 },
+  setfGoldPrice: { kind: "nse", refreshMinutes: 15, staleMinutes: 45 },
+  setfGoldValuation: { kind: "nse", refreshMinutes: 60, staleMinutes: 180 },
+  rsi14Setfgold: { kind: "nse", refreshMinutes: 15, staleMinutes: 45 },
+  technicalsSetfgold: { kind: "nse", refreshMinutes: 60, staleMinutes: 180 },
+  sbiGoldEtfInav: { kind: "nse", refreshMinutes: 5, staleMinutes: 20 },
+  geoProxies: { kind: "always", refreshMinutes: 60, staleMinutes: 240 }
+};
+
+// NSE cash session 09:15–15:30 IST = 03:45–10:00 UTC, Monday–Friday (exchange holidays are not modelled).
+const NSE_OPEN_UTC_MIN = 3 * 60 + 45;
+const NSE_CLOSE_UTC_MIN = 10 * 60;
+
+export function isNseOpen(now) {
+  const day = now.getUTCDay();
+  const min = now.getUTCHours() * 60 + now.getUTCMinutes();
+  return day >= 1 && day <= 5 && min >= NSE_OPEN_UTC_MIN && min < NSE_CLOSE_UTC_MIN;
+}
+
+export function lastNseClose(now) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 10, 0));
+  while (d > now || d.getUTCDay() === 0 || d.getUTCDay() === 6) d.setUTCDate(d.getUTCDate() - 1);
+  return d;
+}
+
+// Extra registry instruments: exchange price/RSI follow the NSE session, NAVs follow their publisher.
+export const INSTRUMENT_SCHEDULE = {
+  price: { kind: "nse", refreshMinutes: 15, staleMinutes: 45 },
+  rsi14: { kind: "nse", refreshMinutes: 15, staleMinutes: 45 },
+  inav: { kind: "nse", refreshMinutes: 5, staleMinutes: 20 },
+  nav: { kind: "always", refreshMinutes: 360, staleMinutes: 1440 }
+};
+
+// Non-default markets (lib/markets.js). Their exchanges' sessions are not modelled, so they refresh around the clock.
+export const MARKET_SCHEDULE = {
+  fx: { kind: "always", refreshMinutes: 15, staleMinutes: 60 },
+  price: { kind: "always", refreshMinutes: 15, staleMinutes: 60 },
+  valuation: { kind: "always", refreshMinutes: 60, staleMinutes: 180 },
+  rsi14: { kind: "always", refreshMinutes: 15, staleMinutes: 60 }
+};
+
+// Daily histories behind /api/charts: a new close per day, so a few refreshes a day are plenty.
+export const SERIES_SCHEDULE = { kind: "always", refreshMinutes: 360, staleMinutes: 1440 };
+
+function instrumentPlan(inst, name) {
+  return name === "nav" ? INSTRUMENT_SCHEDULE[inst.nav?.kind === "inav" ? "inav" : "nav"] : INSTRUMENT_SCHEDULE[name];
+}
+
+export function isDue(name, entry, now) {
+  return isDueOn(FACTOR_SCHEDULE[name], entry, now);
+}
+
+function isDueOn(plan, entry, now) {
+  if (!entry?.lastAttemptAt) return true;
+
+  const lastAttempt = new Date(entry.lastAttemptAt);
+  const ageMin = (now - lastAttempt) / 60000;
+
+  if (plan.kind === "nse" && !isNseOpen(now)) {
+    // Outside the session one successful fetch after the close is enough; failures retry on the normal cadence.
+    const fetchedAt = entry.fetchedAt ? new Date(entry.fetchedAt) : null;
+    return (!fetchedAt || fetchedAt < lastNseClose(now)) && ageMin >= plan.refreshMinutes;
+  }
+  return ageMin >= plan.refreshMinutes;
+}
+
+export function stalenessOf(name, entry, now) {
+  return stalenessOn(FACTOR_SCHEDULE[name], entry, now, name);
+}
+
+function stalenessOn(plan, entry, now, factor) {
+  if (!entry?.fetchedAt) {
+    return { fetchedAt: null, ageMinutes: null, stale: true, lastAttemptAt: entry?.lastAttemptAt ?? null, lastError: lastErrorOf(factor, entry) };
+  }
+
+  const fetchedAt = new Date(entry.fetchedAt);
+  const ageMinutes = Math.round((now - fetchedAt) / 60000);
+  const stale = (plan.kind === "nse" && !isNseOpen(now))
+    ? fetchedAt < lastNseClose(now)
+    : ageMinutes > plan.staleMinutes;
+
+  return {
+    fetchedAt: entry.fetchedAt,
+    ageMinutes,
+    stale,
+    lastAttemptAt: entry.lastAttemptAt ?? null,
+    lastError: lastErrorOf(factor, entry)
+  };
+}
+
+// A value kept through failed refreshes is past its stale limit: still served, but only at low confidence.
+function gradedData(entry, staleness) {
+  const data = entry?.data ?? null;
+  if (!data || !staleness?.stale || data.value === null || data.value === undefined) return data;
+
+  const checks = [...(data.validation?.checks ?? []), `stale: last fetched ${staleness.fetchedAt ?? "never"}`];
+  return { ...data, validation: { ...data.validation, confidence: "low", checks } };
+}
+
+// Entries written before the provider layer stored a bare code string such as "dxy_fetch_failed".
+function lastErrorOf(factor, entry) {
+  const e = entry?.lastError;
+  if (!e) return null;
+  return typeof e === "string" ? { factor, code: e, message: e, attempts: [], at: entry.lastAttemptAt ?? null } : e;
+}
+
+/* -------------------- store read / write -------------------- */
+
+// A failed fetch keeps the last good value and records the error next to it.
+function mergeEntry(prev, obj, nowIso) {
+  if (!obj?.error) {
+    return { data: obj, fetchedAt: nowIso, lastAttemptAt: nowIso, lastError: null };
+  }
+  return {
+    data: prev?.data ?? obj,
+    fetchedAt: prev?.fetchedAt ?? null,
+    lastAttemptAt: nowIso,
+    lastError: obj.error
+  };
+}
+
+async function readEntries(store) {
+  const names = Object.keys(FACTOR_FETCHERS);
+  const entries = await Promise.all(names.map(name => store.get(FACTOR_PREFIX + name)));
+  return Object.fromEntries(names.map((name, i) => [name, entries[i]]));
+}
+
+async function writeFetched(store, entries, fetched, now) {
+  const nowIso = now.toISOString();
+  await Promise.all(Object.entries(fetched).map(async ([name, obj]) => {
+    entries[name] = mergeEntry(entries[name], obj, nowIso);
+    await store.put(FACTOR_PREFIX + name, entries[name]);
+  }));
+}
+
+// http: optional client from createHttpClient() (providers.js); every read/refresh below accepts one.
+export async function refreshDueFactors(store, { now = new Date(), force = false, http } = {}) {
+  const entries = await readEntries(store);
+  const due = Object.keys(FACTOR_FETCHERS).filter(name => force || isDue(name, entries[name], now));
+
+  if (due.length) await writeFetched(store, entries, await fetchFactors(due, { http }), now);
+
+  return {
+    refreshed: due,
+    failed: due.filter(name => entries[name]?.lastError)
+  };
+}
+
+// Serves /api/market from the store. Factors never fetched yet (e.g. before the first cron run)
+// are fetched live once so a fresh deployment is not empty.
+// fomcBias feeds the Fed tone (lib/fed.js); callers pass env.FOMC_BIAS so every endpoint agrees.
+// fairValue: duty/GST config from fairValueConfig(env) (lib/fairvalue.js); defaults when omitted.
+export async function readCachedMarket(store, { now = new Date(), fomcBias = null, fairValue, http } = {}) {
+  const entries = await readEntries(store);
+  const missing = Object.keys(FACTOR_FETCHERS).filter(name => !entries[name]);
+
+  if (missing.length) await writeFetched(store, entries, await fetchFactors(missing, { http }), now);
+
+  const staleness = Object.fromEntries(
+    Object.keys(FACTOR_FETCHERS).map(name => [name, stalenessOf(name, entries[name], now)])
+  );
+  const factors = Object.fromEntries(Object.entries(entries).map(([name, e]) => [name, gradedData(e, staleness[name])]));
+  const result = assembleMarketResult(factors, { fomcBias, fairValue });
+
+  result.staleness = staleness;
+  result.servedFrom = missing.length ? "store+live" : "store";
+
+  // Errors reflect the latest attempt, even when an older good value is still being served.
+  result.errors = Object.keys(FACTOR_FETCHERS)
+    .map(name => lastErrorOf(name, entries[name]))
+    .filter(Boolean);
+
+  result.instrument = instrumentFromMarket(result);
+  result.instrument.errors = ["setfGoldPrice", "rsi14Setfgold", "sbiGoldEtfInav"]
+    .map(name => lastErrorOf(name, entries[name]))
+    .filter(Boolean);
+  result.instruments = [result.instrument];
+
+  result.localMarket = localMarketFromMarket(result);
+  result.localMarket.errors = ["usdInr", "setfGoldPrice", "setfGoldValuation", "rsi14Setfgold"]
+    .map(name => lastErrorOf(name, entries[name]))
+    .filter(Boolean);
+
+  return result;
+}
+
+/* -------------------- registry instruments -------------------- */
+
+// Non-default instruments are read through the store: a due factor is fetched on read. The cron Worker only
+// refreshes instruments /api/market served within READ_MARK_HOURS, so an instrument nobody asks for costs nothing.
+export const INSTRUMENT_READ_PREFIX = "instruments:read:";
+const READ_MARK_HOURS = 24;
+
+export async function readInstrument(store, inst, { now = new Date(), fairValue = null, http } = {}) {
+  const fetchers = instrumentFetchers(inst);
+  const names = Object.keys(fetchers);
+  const factorOf = (name) => `instrument:${inst.id}:${name}`;
+  const keyOf = (name) => FACTOR_PREFIX + factorOf(name);
+  const nowIso = now.toISOString();
+
+  const entries = Object.fromEntries(await Promise.all(names.map(async name => [name, await store.get(keyOf(name))])));
+  const due = names.filter(name => isDueOn(instrumentPlan(inst, name), entries[name], now));
+
+  await Promise.all(due.map(async name => {
+    entries[name] = mergeEntry(entries[name], await fetchers[name](http), nowIso);
+    await store.put(keyOf(name), entries[name]);
+  }));
+
+  const staleness = Object.fromEntries(names.map(name => [name, stalenessOn(instrumentPlan(inst, name), entries[name], now, factorOf(name))]));
+  const block = assembleInstrument(inst, Object.fromEntries(names.map(name => [name, gradedData(entries[name], staleness[name])])), fairValue);
+  block.staleness = staleness;
+  block.errors = names.map(name => lastErrorOf(factorOf(name), entries[name])).filter(Boolean);
+  return { block, refreshed: due };
+}
+
+// ids: registry ids; market: the readCachedMarket payload (supplies the default instrument).
+export async function readInstruments(store, ids, market, { now = new Date(), http } = {}) {
+  return await Promise.all(ids.map(async id => {
+    if (id === DEFAULT_INSTRUMENT_ID) return market.instrument || instrumentFromMarket(market);
+    await markRead(store, id, now);
+    return (await readInstrument(store, INSTRUMENTS[id], { now, http, fairValue: { perGram: market.fairValueInrPerGram } })).block;
+  }));
+}
+
+export async function refreshInstruments(store, { now = new Date(), http } = {}) {
+  const refreshed = [];
+  for (const inst of Object.values(INSTRUMENTS)) {
+    if (inst.id === DEFAULT_INSTRUMENT_ID || !(await store.get(INSTRUMENT_READ_PREFIX + inst.id))) continue;
+    const r = await readInstrument(store, inst, { now, http });
+    refreshed.push(...r.refreshed.map(name => `${inst.id}:${name}`));
+  }
+  return { refreshed };
+}
+
+// The mark expires READ_MARK_HOURS after it was written and is renewed at most every half of that, to keep
+// KV writes to a couple per instrument per day.
+async function markRead(store, id, now) {
+  const key = INSTRUMENT_READ_PREFIX + id;
+  const last = await store.get(key);
+  if (last && now.getTime() - Date.parse(last) < READ_MARK_HOURS / 2 * 3600000) return;
+  await store.put(key, now.toISOString(), { ttlSeconds: READ_MARK_HOURS * 3600 });
+}
+
+/* -------------------- local markets -------------------- */
+
+// Read-through like the instruments. Returns { block, refreshed }; India's block comes from readCachedMarket.
+export async function readLocalMarket(store, market, { now = new Date(), http } = {}) {
+  const fetchers = localMarketFetchers(market);
+  const names = Object.keys(fetchers);
+  const factorOf = (name) => `market:${market.id}:${name}`;
+  const keyOf = (name) => FACTOR_PREFIX + factorOf(name);
+  const nowIso = now.toISOString();
+
+  const entries = Object.fromEntries(await Promise.all(names.map(async name => [name, await store.get(keyOf(name))])));
+  const due = names.filter(name => isDueOn(MARKET_SCHEDULE[name], entries[name], now));
+
+  await Promise.all(due.map(async name => {
+    entries[name] = mergeEntry(entries[name], await fetchers[name](http), nowIso);
+    await store.put(keyOf(name), entries[name]);
+  }));
+
+  const staleness = Object.fromEntries(names.map(name => [name, stalenessOn(MARKET_SCHEDULE[name], entries[name], now, factorOf(name))]));
+  const block = assembleLocalMarket(market, Object.fromEntries(names.map(name => [name, gradedData(entries[name], staleness[name])])));
+  block.staleness = staleness;
+  block.errors = names.map(name => lastErrorOf(factorOf(name), entries[name])).filter(Boolean);
+  return { block, refreshed: due };
+}
+
+export async function refreshLocalMarkets(store, { now = new Date(), http } = {}) {
+  const refreshed = [];
+  for (const market of Object.values(MARKETS)) {
+    if (market.id === DEFAULT_MARKET_ID) continue;
+    const r = await readLocalMarket(store, market, { now, http });
+    refreshed.push(...r.refreshed.map(name => `${market.id}:${name}`));
+  }
+  return { refreshed };
+}
+
+/* -------------------- daily series (charts) -------------------- */
+
+// Read-through like the instruments: a due series is fetched on read and by the cron Worker.
+// Returns { series: { name: [{ date, value }] }, staleness, errors, refreshed }; a series never fetched is [].
+export async function readDailySeries(store, { now = new Date(), http } = {}) {
+  const names = Object.keys(SERIES_FETCHERS);
+  const factorOf = (name) => `series:${name}`;
+  const nowIso = now.toISOString();
+
+  const entries = Object.fromEntries(await Promise.all(names.map(async name => [name, await store.get(FACTOR_PREFIX + factorOf(name))])));
+  const due = names.filter(name => isDueOn(SERIES_SCHEDULE, entries[name], now));
+
+  await Promise.all(due.map(async name => {
+    entries[name] = mergeEntry(entries[name], await SERIES_FETCHERS[name](http), nowIso);
+    await store.put(FACTOR_PREFIX + factorOf(name), entries[name]);
+  }));
+
+  return {
+    series: Object.fromEntries(names.map(name => [name, Array.isArray(entries[name]?.data?.value) ? entries[name].data.value : []])),
+    staleness: Object.fromEntries(names.map(name => [name, stalenessOn(SERIES_SCHEDULE, entries[name], now, factorOf(name))])),
+    errors: names.map(name => lastErrorOf(factorOf(name), entries[name])).filter(Boolean),
+    refreshed: due
+  };
+}
@@ -0,0 +1,22 @@
+import { loadFixtureSeries } from "../../lib/backtest.js";
+
+// Reads /fixtures/backtest through the Pages static asset binding (no upstream calls).
+export async function loadFixturesFromAssets(context) {
+  const origin = new URL(context.request.url).origin;
+  return await loadFixtureSeries(async (path) => {
+    const res = await context.env.ASSETS.fetch(new URL(path, origin));
+    if (!res.ok) throw new Error(`${path}: HTTP ${res.status}`);
+    return await res.text();
+  });
+}
+
+export function fixturesMissingResponse(err) {
+  return new Response(JSON.stringify({
+    error: "backtest_fixtures_missing",
+    message: String(err?.message || err),
+    hint: "Run node scripts/record-backtest-fixtures.mjs and redeploy."
+  }), {
+    status: 503,
+    headers: { "content-type": "application/json; charset=utf-8" }
+  });
+}
@@ -0,0 +1,147 @@
+/* -------------------- market snapshots -------------------- */
+
+// Every payload the cron Worker builds is kept under "snapshot:<asOf>" (its ISO timestamp). "snapshot-day:YYYY-MM-DD"
+// indexes a UTC day: the asOf of each snapshot taken that day plus a copy of the latest, so a daily range read
+// costs one get per day. Snapshots from before per-fetch keys ("snapshot:YYYY-MM-DD") are indexed once by
+// indexLegacySnapshots().
+
+export const SNAPSHOT_PREFIX = "snapshot:";
+export const SNAPSHOT_DAY_PREFIX = "snapshot-day:";
+const LEGACY_INDEXED_KEY = "snapshots:legacy-indexed";
+
+export const HISTORY_FIELDS = [
+  "dxy",
+  "usdInr",
+  "usdInrChangePct30d",
+  "usdInrTrend",
+  "goldSpotUsd",
+  "fairValueInrPerGram",
+  "setfGoldFairValuePremiumPct",
+  "realYield",
+  "fedSignal",
+  "geoRisk",
+  "setfGoldPrice",
+  "setfGoldPctile1y",
+  "rsi14Setfgold",
+  "sbiGoldEtfInav"
+];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 3660;
+// interval=fetch reads one key per snapshot (288 a day at the cron's 5 minutes).
+const MAX_FETCH_RANGE_DAYS = 7;
+
+export function snapshotFromMarket(result) {
+  const asOf = result?.asOf || new Date().toISOString();
+  const snapshot = {
+    date: asOf.slice(0, 10),
+    asOf
+  };
+
+  for (const field of HISTORY_FIELDS) {
+    snapshot[field] = result?.[field] ?? null;
+  }
+
+  snapshot.quality = result?.quality ?? null;
+  return snapshot;
+}
+
+export async function recordSnapshot(store, result) {
+  const snapshot = snapshotFromMarket(result);
+  const dayKey = SNAPSHOT_DAY_PREFIX + snapshot.date;
+  const day = await store.get(dayKey);
+  const times = [...new Set([...(day?.times ?? []), snapshot.asOf])].sort();
+  const latest = times[times.length - 1] === snapshot.asOf ? snapshot : day.latest;
+
+  await store.put(SNAPSHOT_PREFIX + snapshot.asOf, snapshot);
+  await store.put(dayKey, { ...day, date: snapshot.date, times, latest });
+  return snapshot;
+}
+
+// One pass over the old one-per-day keys, so their days show up in range reads; a marker key makes later calls free.
+export async function indexLegacySnapshots(store) {
+  if (await store.get(LEGACY_INDEXED_KEY)) return 0;
+
+  const legacy = (await store.list(SNAPSHOT_PREFIX)).filter(k => DATE_RE.test(k.slice(SNAPSHOT_PREFIX.length)));
+  let indexed = 0;
+  for (const key of legacy) {
+    const snapshot = await store.get(key);
+    if (!snapshot || await store.get(SNAPSHOT_DAY_PREFIX + snapshot.date)) continue;
+    await store.put(SNAPSHOT_DAY_PREFIX + snapshot.date, { date: snapshot.date, times: [snapshot.asOf], latest: snapshot, legacyKey: key });
+    indexed++;
+  }
+
+  await store.put(LEGACY_INDEXED_KEY, { at: new Date().toISOString(), indexed });
+  return indexed;
+}
+
+export function parseHistoryQuery(searchParams) {
+  const today = new Date().toISOString().slice(0, 10);
+  const to = searchParams.get("to") || today;
+  const from = searchParams.get("from") || shiftDate(to, -90);
+
+  if (!DATE_RE.test(from) || !DATE_RE.test(to)) {
+    return { error: "from/to must be YYYY-MM-DD" };
+  }
+  if (from > to) {
+    return { error: "from must not be after to" };
+  }
+  if (daysBetween(from, to) > MAX_RANGE_DAYS) {
+    return { error: `range too large (max ${MAX_RANGE_DAYS} days)` };
+  }
+
+  const interval = searchParams.get("interval") || "day";
+  if (interval !== "day" && interval !== "fetch") {
+    return { error: "interval must be day or fetch" };
+  }
+  if (interval === "fetch" && daysBetween(from, to) > MAX_FETCH_RANGE_DAYS) {
+    return { error: `interval=fetch covers at most ${MAX_FETCH_RANGE_DAYS} days` };
+  }
+
+  const rawFields = (searchParams.get("fields") || "").split(",").map(s => s.trim()).filter(Boolean);
+  const unknown = rawFields.filter(f => !HISTORY_FIELDS.includes(f));
+  if (unknown.length) {
+    return { error: `unknown fields: ${unknown.join(", ")}` };
+  }
+
+  return {
+    from,
+    to,
+    interval,
+    fields: rawFields.length ? rawFields : HISTORY_FIELDS.slice()
+  };
+}
+
+// interval "day": the latest snapshot of each day; "fetch": every snapshot, oldest first.
+export async function readHistory(store, { from, to, fields = HISTORY_FIELDS, interval = "day" }) {
+  const keys = await store.list(SNAPSHOT_DAY_PREFIX);
+  const inRange = keys.filter(k => {
+    const date = k.slice(SNAPSHOT_DAY_PREFIX.length);
+    return date >= from && date <= to;
+  });
+
+  const days = (await Promise.all(inRange.map(k => store.get(k)))).filter(Boolean);
+  const snapshots = interval === "fetch"
+    ? await Promise.all(days.flatMap(d => [...(d.legacyKey ? [d.legacyKey] : []), ...d.times.map(t => SNAPSHOT_PREFIX + t)]).map(k => store.get(k)))
+    : days.map(d => d.latest);
+
+  return snapshots
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.asOf).localeCompare(String(b.asOf)))
+    .map(s => {
+      const point = { date: s.date, asOf: s.asOf ?? null };
+      for (const field of fields) point[field] = s[field] ?? null;
+      return point;
+    });
+}
+
+function shiftDate(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return isoDate;
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
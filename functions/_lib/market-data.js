@@ -0,0 +1,1095 @@
+import { splitCsvLine, parseFredCsvSeries, parseYahooChartSeries, shiftIsoDate } from "../../lib/series.js";
+import { usdInrTrendFromPct, premiumDiscountPct } from "../../lib/scoring.js";
+import { pctChange, realizedVolatility, relativeValuation, rsi } from "../../lib/indicators.js";
+import { FED_CONFIG, computeFedTone, summarizeNominalCurve } from "../../lib/fed.js";
+import { GEO_CONFIG, computeGeoRisk } from "../../lib/georisk.js";
+import { TECHNICAL_CONFIG, computeTechnicalTiming, technicalIndicators } from "../../lib/technicals.js";
+import { INSTRUMENTS, DEFAULT_INSTRUMENT_ID } from "../../lib/instruments.js";
+import { MARKETS, DEFAULT_MARKET_ID } from "../../lib/markets.js";
+import { DEFAULT_FAIR_VALUE_CONFIG, GRAMS_PER_TROY_OUNCE, computeFairValue, premiumOverFairValue } from "../../lib/fairvalue.js";
+import { CONTRACT_VERSION } from "../../lib/contract.js";
+import { runChain, providerError } from "./providers.js";
+import { lowestConfidence } from "./validation.js";
+
+/* -------------------- market payload -------------------- */
+
+// One fetcher per cached factor. Each returns { value, asOf?, source, error? } and never throws;
+// error is a structured record { factor, code, message, attempts, at } (see providers.js).
+// http: optional client from createHttpClient(); tests pass one built on a fake fetch.
+export const FACTOR_FETCHERS = {
+  dxy: (http) => getDxySafe(http),
+  usdInr: (http) => getUsdInrSafe(http),
+  goldSpot: (http) => getGoldSpotSafe(http),
+  realYield: (http) => getRealYieldSafe(http),
+  nominalCurve: (http) => getNominalCurveSafe(http),
+  setfGoldPrice: (http) => getSetfGoldPriceSafe(http),
+  setfGoldValuation: (http) => getGoldValuationSafe("SETFGOLD.NS", "setfGoldValuation", http),
+  rsi14Setfgold: (http) => getRsi14Safe("SETFGOLD.NS", "rsi14Setfgold", http),
+  technicalsSetfgold: (http) => getTechnicalsSafe("SETFGOLD.NS", "technicalsSetfgold", http),
+  sbiGoldEtfInav: (http) => getSbiGoldEtfInavSafe("SBI Gold ETF", "sbiGoldEtfInav", http),
+  geoProxies: (http) => getGeoProxiesSafe(http)
+};
+
+export async function fetchFactors(names = Object.keys(FACTOR_FETCHERS), { http } = {}) {
+  const objs = await Promise.all(names.map(name => FACTOR_FETCHERS[name](http)));
+  return Object.fromEntries(names.map((name, i) => [name, objs[i]]));
+}
+
+// Builds the /api/market contract from per-factor objects (live or cached).
+// fomcBias is the optional manual FOMC read (env FOMC_BIAS): dovish | neutral | hawkish.
+// fairValue is the duty/GST config for the implied domestic price (see fairValueConfig in lib/fairvalue.js).
+export function assembleMarketResult(factors, { fomcBias = null, fairValue: fairValueCfg = DEFAULT_FAIR_VALUE_CONFIG } = {}) {
+  const {
+    dxy: dxyObj,
+    usdInr: inrObj,
+    goldSpot: spotObj,
+    realYield: realYieldObj,
+    nominalCurve: curveObj,
+    setfGoldPrice: goldObj,
+    setfGoldValuation: valuationObj,
+    rsi14Setfgold: rsiObj,
+    technicalsSetfgold: technicalsObj,
+    sbiGoldEtfInav: sbiInavObj,
+    geoProxies: geoObj
+  } = factors;
+
+  const curve = curveObj?.value || null;
+  const fedObj = computeFedTone({
+    realYield: realYieldObj?.value,
+    twoYearChangeBp: curve?.twoYearChangeBp,
+    slopeChangeBp: curve?.slopeChangeBp,
+    fomcBias
+  });
+
+  const geo = computeGeoRisk(geoObj?.value || {});
+  const technicals = computeTechnicalTiming(technicalsObj?.value || {}, technicalsObj?.asOf ?? null);
+
+  const fair = computeFairValue({ spotUsdPerOz: numberOrNull(spotObj?.value), usdInr: numberOrNull(inrObj?.value) }, fairValueCfg);
+  const setfPrice = numberOrNull(goldObj?.value);
+  const setfPerGram = setfPrice === null ? null : setfPrice / INSTRUMENTS[DEFAULT_INSTRUMENT_ID].gramsPerUnit;
+
+  const result = {
+    dxy: numberOrNull(dxyObj?.value),
+
+    usdInr: numberOrNull(inrObj?.value),
+    usdInrChangePct30d: numberOrNull(inrObj?.pct30d),
+    usdInrTrend: inrObj?.trend ?? "stable",
+
+    goldSpotUsd: numberOrNull(spotObj?.value),
+    goldSpotAsOf: spotObj?.asOf ?? null,
+
+    fairValueInrPerGram: fair.perGram,
+    fairValueRetailInrPerGram: fair.retailPerGram,
+    setfGoldFairValuePremiumPct: premiumOverFairValue(setfPerGram, fair),
+
+    realYield: numberOrNull(realYieldObj?.value),
+    realYieldAsOf: realYieldObj?.asOf ?? null,
+
+    ust2y: numberOrNull(curve?.twoYear),
+    ust10y: numberOrNull(curve?.tenYear),
+    ust2s10s: numberOrNull(curve?.slope),
+    ust2yChangeBp30d: numberOrNull(curve?.twoYearChangeBp),
+    ust2s10sChangeBp30d: numberOrNull(curve?.slopeChangeBp),
+    nominalCurveAsOf: curveObj?.asOf ?? null,
+
+    fedSignal: fedObj.signal,
+    fedSignalScore: fedObj.score,
+    fedSignalReason: fedObj.reason,
+    fedSignalConfidence: fedObj.confidence,
+    fedSignalComponents: fedObj.components,
+
+    geoRisk: geo.level,
+    geoRiskScore: geo.score,
+    geoRiskReason: geo.reason,
+    geoRiskConfidence: geo.confidence,
+    geoRiskComponents: geo.components,
+    geoRiskAsOf: geoObj?.asOf ?? null,
+
+    setfGoldPrice: numberOrNull(goldObj?.value),
+    setfGoldPriceAsOf: goldObj?.asOf ?? null,
+
+    setfGoldPctile1y: numberOrNull(valuationObj?.value?.percentile1y),
+    setfGoldVs50dPct: numberOrNull(valuationObj?.value?.vs50dPct),
+    setfGoldVs200dPct: numberOrNull(valuationObj?.value?.vs200dPct),
+    setfGoldDrawdown52wPct: numberOrNull(valuationObj?.value?.drawdown52wPct),
+    setfGoldValuationAsOf: valuationObj?.asOf ?? null,
+
+    rsi14Setfgold: numberOrNull(rsiObj?.value),
+    rsi14SetfgoldAsOf: rsiObj?.asOf ?? null,
+
+    technicalTiming: technicals.verdict,
+    technicalTimingScore: technicals.score,
+    technicalTimingReason: technicals.reason,
+    technicalTimingComponents: technicals.components,
+    technicalTimingAsOf: technicalsObj?.asOf ?? null,
+
+    sbiGoldEtfInav: numberOrNull(sbiInavObj?.value),
+    sbiGoldEtfInavAsOf: sbiInavObj?.asOf ?? null,
+
+    asOf: new Date().toISOString(),
+    contractVersion: CONTRACT_VERSION,
+
+    // Per-field confidence: high | medium | low | missing (see validation.js); derived fields take their weakest input.
+    quality: {
+      dxy: confidenceOf(dxyObj),
+      usdInr: confidenceOf(inrObj),
+      goldSpot: confidenceOf(spotObj),
+      fairValue: fair.perGram !== null ? lowestConfidence([confidenceOf(spotObj), confidenceOf(inrObj)]) : "missing",
+      realYield: confidenceOf(realYieldObj),
+      nominalCurve: confidenceOf(curveObj, curve?.twoYear),
+      fedSignal: fedObj.signal !== "unknown" ? lowestConfidence([confidenceOf(realYieldObj), confidenceOf(curveObj, curve?.twoYear)]) : "missing",
+      setfGoldPrice: confidenceOf(goldObj),
+      setfGoldValuation: confidenceOf(valuationObj, valuationObj?.value?.percentile1y),
+      rsi14Setfgold: confidenceOf(rsiObj),
+      technicalTiming: technicals.verdict !== "unknown" ? confidenceOf(technicalsObj, technicals.score) : "missing",
+      sbiGoldEtfInav: confidenceOf(sbiInavObj),
+      // Fewer proxies mean a weaker read, whatever the fetch quality.
+      geoRisk: geo.level !== "unknown" ? lowestConfidence([confidenceOf(geoObj, geo.score), geo.confidence]) : "missing"
+    },
+
+    validation: Object.fromEntries(
+      Object.entries(factors)
+        .filter(([, obj]) => obj?.validation)
+        .map(([name, obj]) => [name, obj.validation])
+    ),
+
+    freshness: {
+      dxy: dxyObj?.source ?? null,
+      usdInr: inrObj?.source ?? null,
+      goldSpot: spotObj?.source ?? null,
+      fairValue: {
+        provider: "derived",
+        basis: ["goldSpot", "usdInr"],
+        config: fair.config
+      },
+      realYield: realYieldObj?.source ?? null,
+      nominalCurve: curveObj?.source ?? null,
+      fedSignal: {
+        provider: "derived",
+        basis: fedObj.components.map(c => c.input),
+        config: FED_CONFIG
+      },
+      setfGoldPrice: goldObj?.source ?? null,
+      setfGoldValuation: valuationObj?.source ?? null,
+      rsi14Setfgold: rsiObj?.source ?? null,
+      technicalsSetfgold: technicalsObj?.source ?? null,
+      technicalTiming: {
+        provider: "derived",
+        basis: technicals.components.map(c => c.input),
+        config: TECHNICAL_CONFIG
+      },
+      sbiGoldEtfInav: sbiInavObj?.source ?? null,
+      geoProxies: geoObj?.source ?? null,
+      geoRisk: {
+        provider: "derived",
+        basis: geo.components.map(c => c.input),
+        config: GEO_CONFIG
+      }
+    },
+
+    errors: compactErrors([
+      dxyObj?.error,
+      inrObj?.error,
+      spotObj?.error,
+      realYieldObj?.error,
+      curveObj?.error,
+      goldObj?.error,
+      valuationObj?.error,
+      rsiObj?.error,
+      technicalsObj?.error,
+      sbiInavObj?.error,
+      geoObj?.error
+    ])
+  };
+
+  return result;
+}
+
+/* -------------------- per-instrument payload -------------------- */
+
+// Fetchers for one registry instrument (lib/instruments.js). Funds without an exchange listing only get a NAV.
+export function instrumentFetchers(inst) {
+  const out = {};
+  const factor = (name) => `instrument:${inst.id}:${name}`;
+  if (inst.symbol) {
+    out.price = (http) => getYahooPriceSafe(inst.symbol, factor("price"), http);
+    out.rsi14 = (http) => getRsi14Safe(inst.symbol, factor("rsi14"), http);
+  }
+  if (inst.nav?.provider === "sbimf") out.nav = (http) => getSbiGoldEtfInavSafe(inst.nav.fundName, factor("nav"), http);
+  if (inst.nav?.provider === "amfi") out.nav = (http) => getAmfiNavSafe(inst.nav, factor("nav"), http);
+  return out;
+}
+
+// objs: { price, rsi14, nav } factor objects (any may be missing). fairValue: computeFairValue() output, optional.
+export function assembleInstrument(inst, { price: priceObj, rsi14: rsiObj, nav: navObj } = {}, fairValue = null) {
+  const nav = numberOrNull(navObj?.value);
+  // A fund-of-funds trades at its NAV, so the NAV is its price.
+  const price = inst.symbol ? numberOrNull(priceObj?.value) : nav;
+  const impliedPerGram = price !== null && inst.gramsPerUnit ? Math.round(price / inst.gramsPerUnit * 100) / 100 : null;
+
+  return {
+    id: inst.id,
+    name: inst.name,
+    kind: inst.kind,
+    symbol: inst.symbol,
+    price,
+    priceAsOf: inst.symbol ? (priceObj?.asOf ?? null) : (navObj?.asOf ?? null),
+    rsi14: numberOrNull(rsiObj?.value),
+    nav,
+    navKind: inst.nav?.kind ?? null,
+    navAsOf: navObj?.asOf ?? null,
+    premiumDiscountPct: inst.symbol ? premiumDiscountPct(price, nav) : null,
+    gramsPerUnit: inst.gramsPerUnit,
+    impliedPerGram,
+    fairValuePremiumPct: premiumOverFairValue(impliedPerGram, fairValue),
+    quality: {
+      price: inst.symbol ? confidenceOf(priceObj) : confidenceOf(navObj),
+      rsi14: confidenceOf(rsiObj),
+      nav: confidenceOf(navObj)
+    },
+    sources: {
+      price: priceObj?.source ?? null,
+      rsi14: rsiObj?.source ?? null,
+      nav: navObj?.source ?? null
+    }
+  };
+}
+
+// The default instrument is already part of the core factors; rebuild its block from the flat fields.
+export function instrumentFromMarket(market) {
+  const wrap = (value, asOf, source) => (value === null || value === undefined ? null : { value, asOf, source });
+  const block = assembleInstrument(INSTRUMENTS[DEFAULT_INSTRUMENT_ID], {
+    price: wrap(market.setfGoldPrice, market.setfGoldPriceAsOf, market.freshness?.setfGoldPrice),
+    rsi14: wrap(market.rsi14Setfgold, market.rsi14SetfgoldAsOf, market.freshness?.rsi14Setfgold),
+    nav: wrap(market.sbiGoldEtfInav, market.sbiGoldEtfInavAsOf, market.freshness?.sbiGoldEtfInav)
+  }, { perGram: market.fairValueInrPerGram });
+  block.quality = {
+    price: market.quality?.setfGoldPrice ?? block.quality.price,
+    rsi14: market.quality?.rsi14Setfgold ?? block.quality.rsi14,
+    nav: market.quality?.sbiGoldEtfInav ?? block.quality.nav
+  };
+  if (market.staleness) {
+    block.staleness = {
+      price: market.staleness.setfGoldPrice,
+      rsi14: market.staleness.rsi14Setfgold,
+      nav: market.staleness.sbiGoldEtfInav
+    };
+  }
+  return block;
+}
+
+/* -------------------- local market (?market=) -------------------- */
+
+// Fetchers for a non-default market (lib/markets.js): its currency pair (if any) and its local gold price,
+// 1Y valuation and RSI. India's are the core factors.
+export function localMarketFetchers(market) {
+  const out = {};
+  const factor = (name) => `market:${market.id}:${name}`;
+  if (market.fx) out.fx = (http) => getFxSafe(factor("fx"), market.fx, http);
+  out.price = (http) => getYahooPriceSafe(market.gold.yahoo, factor("price"), http);
+  out.valuation = (http) => getGoldValuationSafe(market.gold.yahoo, factor("valuation"), http);
+  out.rsi14 = (http) => getRsi14Safe(market.gold.yahoo, factor("rsi14"), http);
+  return out;
+}
+
+// objs: { fx, price, valuation, rsi14 } factor objects (any may be missing).
+export function assembleLocalMarket(market, { fx: fxObj, price: priceObj, valuation: valuationObj, rsi14: rsiObj } = {}) {
+  const fx = market.fx ? numberOrNull(fxObj?.value) : null;
+  const quoted = numberOrNull(priceObj?.value);
+  let goldPrice = quoted;
+  if (market.gold.perOunceUsd) {
+    goldPrice = quoted !== null && fx !== null ? Math.round(quoted * fx / GRAMS_PER_TROY_OUNCE * 100) / 100 : null;
+  }
+
+  return {
+    id: market.id,
+    name: market.name,
+    currency: market.currency,
+    fxPair: market.fx?.pair ?? null,
+    fxScored: Boolean(market.fx?.scored),
+    fx,
+    fxChangePct30d: market.fx ? numberOrNull(fxObj?.pct30d) : null,
+    fxTrend: market.fx ? (fxObj?.trend ?? "stable") : null,
+    fxAsOf: fxObj?.asOf ?? null,
+    goldId: market.gold.id,
+    goldName: market.gold.name,
+    goldSymbol: market.gold.yahoo,
+    goldPrice,
+    goldPriceAsOf: priceObj?.asOf ?? null,
+    goldPctile1y: numberOrNull(valuationObj?.value?.percentile1y),
+    goldVs50dPct: numberOrNull(valuationObj?.value?.vs50dPct),
+    goldVs200dPct: numberOrNull(valuationObj?.value?.vs200dPct),
+    goldDrawdown52wPct: numberOrNull(valuationObj?.value?.drawdown52wPct),
+    goldValuationAsOf: valuationObj?.asOf ?? null,
+    rsi14: numberOrNull(rsiObj?.value),
+    rsi14AsOf: rsiObj?.asOf ?? null,
+    quality: {
+      fx: market.fx ? confidenceOf(fxObj) : "missing",
+      goldPrice: market.gold.perOunceUsd ? lowestConfidence([confidenceOf(priceObj), confidenceOf(fxObj)]) : confidenceOf(priceObj),
+      goldValuation: confidenceOf(valuationObj, valuationObj?.value?.percentile1y),
+      rsi14: confidenceOf(rsiObj)
+    },
+    sources: {
+      fx: fxObj?.source ?? null,
+      goldPrice: priceObj?.source ?? null,
+      goldValuation: valuationObj?.source ?? null,
+      rsi14: rsiObj?.source ?? null
+    }
+  };
+}
+
+// India is already part of the core factors; rebuild its block from the flat fields.
+export function localMarketFromMarket(market) {
+  const wrap = (value, asOf, source, extra = {}) => (value === null || value === undefined ? null : { value, asOf, source, ...extra });
+  const block = assembleLocalMarket(MARKETS[DEFAULT_MARKET_ID], {
+    fx: wrap(market.usdInr, null, market.freshness?.usdInr, { pct30d: market.usdInrChangePct30d, trend: market.usdInrTrend }),
+    price: wrap(market.setfGoldPrice, market.setfGoldPriceAsOf, market.freshness?.setfGoldPrice),
+    valuation: wrap({
+      percentile1y: market.setfGoldPctile1y,
+      vs50dPct: market.setfGoldVs50dPct,
+      vs200dPct: market.setfGoldVs200dPct,
+      drawdown52wPct: market.setfGoldDrawdown52wPct
+    }, market.setfGoldValuationAsOf, market.freshness?.setfGoldValuation),
+    rsi14: wrap(market.rsi14Setfgold, market.rsi14SetfgoldAsOf, market.freshness?.rsi14Setfgold)
+  });
+  block.quality = {
+    fx: market.quality?.usdInr ?? block.quality.fx,
+    goldPrice: market.quality?.setfGoldPrice ?? block.quality.goldPrice,
+    goldValuation: market.quality?.setfGoldValuation ?? block.quality.goldValuation,
+    rsi14: market.quality?.rsi14Setfgold ?? block.quality.rsi14
+  };
+  if (market.staleness) {
+    block.staleness = {
+      fx: market.staleness.usdInr,
+      price: market.staleness.setfGoldPrice,
+      valuation: market.staleness.setfGoldValuation,
+      rsi14: market.staleness.rsi14Setfgold
+    };
+  }
+  return block;
+}
+
+/* -------------------- daily series (charts) -------------------- */
+
+// Ascending [{ date, value }] histories for /api/charts. SETFGOLD gets two years so the score replay has a
+// full year of lookback for the 1Y range percentile on every charted day.
+export const SERIES_FETCHERS = {
+  setfgold: (http) => getDailySeriesSafe("series:setfgold", [yahooSeriesProvider("SETFGOLD.NS", "2y")], http),
+  dxy: (http) => getDailySeriesSafe("series:dxy", [yahooSeriesProvider("DX-Y.NYB", "1y"), yahooSeriesProvider("DX=F", "1y")], http),
+  usdInr: (http) => getDailySeriesSafe("series:usdInr", [yahooSeriesProvider("INR=X", "1y")], http),
+  realYield: (http) => getDailySeriesSafe("series:realYield", [fredSeriesProvider("DFII10", 400)], http)
+};
+
+async function getDailySeriesSafe(factor, chain, http) {
+  return await runChain(factor, chain, { http, empty: { points: 0 } });
+}
+
+function yahooSeriesProvider(symbol, range) {
+  return {
+    id: `yahoo:${symbol}`,
+    run: async (http) => {
+      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=${range}&interval=1d&_=${Date.now()}`;
+      const json = await http.json(url, { label: `Yahoo ${symbol} ${range}`, headers: { "accept": "application/json,text/plain,*/*" } });
+      return seriesObject(parseYahooChartSeries(json).map(({ date, value }) => ({ date, value })), { provider: "yahoo", symbol, range, interval: "1d" });
+    }
+  };
+}
+
+function fredSeriesProvider(series, days) {
+  return {
+    id: `fred:${series}`,
+    run: async (http) => {
+      const url = `https://fred.stlouisfed.org/graph/fredgraph.csv?id=${encodeURIComponent(series)}`;
+      const points = parseFredCsvSeries(await http.text(url, { label: `FRED ${series}`, headers: CSV_HEADERS }));
+      const from = shiftIsoDate(new Date().toISOString().slice(0, 10), -days);
+      return seriesObject(points.filter(p => p.date >= from), { provider: "fred", series, format: "csv" });
+    }
+  };
+}
+
+function seriesObject(points, source) {
+  if (points.length < 20) throw providerError("no_data", `Not enough daily history (${points.length} points)`);
+  return { value: points, asOf: points[points.length - 1].date, points: points.length, source };
+}
+
+/* -------------------- small utils -------------------- */
+
+function numberOrNull(v) {
+  return (typeof v === "number" && Number.isFinite(v)) ? v : null;
+}
+
+// Values cached before validation existed (no grade) count as medium.
+function confidenceOf(obj, value = obj?.value) {
+  if (numberOrNull(value) === null) return "missing";
+  return obj?.validation?.confidence ?? "medium";
+}
+
+function compactErrors(arr) {
+  return arr.filter(Boolean);
+}
+
+function monthPadded(n) {
+  return String(n).padStart(2, "0");
+}
+
+/* -------------------- factor fetchers -------------------- */
+
+// Each factor is an ordered provider chain (functions/_lib/providers.js): the first provider that returns a
+// value wins, and a factor whose chain is exhausted carries a structured `error` record instead of throwing.
+
+async function getDxySafe(http) {
+  return await runChain("dxy", [
+    yahooPriceProvider("DX-Y.NYB", "1mo"),
+    yahooPriceProvider("DX=F", "1mo"),
+    stooqProvider("dx.f"),
+    stooqProvider("usdidx")
+  ], { http });
+}
+
+async function getUsdInrSafe(http) {
+  return await getFxSafe("usdInr", MARKETS[DEFAULT_MARKET_ID].fx, http);
+}
+
+// fx: a market's currency pair (lib/markets.js). The trend is the 30-day move of USD against the local currency.
+async function getFxSafe(factor, fx, http) {
+  return await runChain(factor, [
+    {
+      id: `yahoo:${fx.yahoo}`,
+      run: async (h) => {
+        const y = await fetchYahooChart(h, fx.yahoo, "1mo");
+        return {
+          value: requireNumber(y.latestPrice, `${fx.yahoo} price`),
+          asOf: y.asOf,
+          pct30d: numberOrNull(y.pctChangeFromFirstPoint),
+          trend: usdInrTrendFromPct(y.pctChangeFromFirstPoint),
+          source: { provider: "yahoo", symbol: fx.yahoo, window: "1mo" }
+        };
+      }
+    },
+    {
+      id: `stooq:${fx.stooq}`,
+      run: async (h) => {
+        const s = await fetchStooqClose(h, fx.stooq, true);
+        return {
+          value: s.last,
+          asOf: s.asOf,
+          pct30d: numberOrNull(s.pct30d),
+          trend: usdInrTrendFromPct(s.pct30d),
+          source: { provider: "stooq", symbol: fx.stooq, window: "30d" }
+        };
+      }
+    }
+  ], { http, empty: { pct30d: null, trend: "stable" } });
+}
+
+// COMEX front-month future (USD/oz) as the international spot proxy; Stooq's XAUUSD as fallback.
+async function getGoldSpotSafe(http) {
+  return await runChain("goldSpot", [
+    yahooPriceProvider("GC=F"),
+    stooqProvider("xauusd")
+  ], { http });
+}
+
+async function getYahooPriceSafe(symbol, factor, http) {
+  return await runChain(factor, [yahooPriceProvider(symbol)], { http });
+}
+
+function yahooPriceProvider(symbol, range = "5d") {
+  return {
+    id: `yahoo:${symbol}`,
+    run: async (h) => {
+      const y = await fetchYahooChart(h, symbol, range);
+      return {
+        value: requireNumber(y.latestPrice, `${symbol} latest price`),
+        asOf: y.asOf,
+        source: { provider: "yahoo", symbol }
+      };
+    }
+  };
+}
+
+function stooqProvider(symbol) {
+  return {
+    id: `stooq:${symbol}`,
+    run: async (h) => {
+      const s = await fetchStooqClose(h, symbol);
+      return { value: s.last, asOf: s.asOf, source: { provider: "stooq", symbol } };
+    }
+  };
+}
+
+/* -------------------- REAL YIELD: Treasury CSV primary, Treasury HTML backup, FRED last -------------------- */
+
+async function getRealYieldSafe(http) {
+  return await runChain("realYield", [
+    { id: "treasury:csv", run: getRealYieldFromTreasuryCsv },
+    { id: "treasury:html", run: getRealYieldFromTreasuryTextView },
+    { id: "fred:DFII10", run: (h) => getRealYieldFromFredCsv(h, "DFII10") }
+  ], { http });
+}
+
+async function getRealYieldFromTreasuryCsv(http) {
+  const year = new Date().getUTCFullYear();
+
+  // Treasury nominal rates already expose a CSV endpoint with this shape.
+  // For real yields, the same family works with type=daily_treasury_real_yield_curve.
+  const url =
+    `https://home.treasury.gov/resource-center/data-chart-center/interest-rates/` +
+    `daily-treasury-rates.csv/${year}/all?_format=csv&field_tdr_date_value=${year}` +
+    `&page=&type=daily_treasury_real_yield_curve&_=${Date.now()}`;
+
+  const text = await http.text(url, { label: "Treasury CSV", headers: CSV_HEADERS });
+  const parsed = parseTreasuryRealYieldCsv(text);
+
+  if (!parsed || !Number.isFinite(parsed.value)) {
+    throw new Error("Treasury CSV parse failed");
+  }
+
+  return {
+    value: parsed.value,
+    asOf: parsed.asOf,
+    source: {
+      provider: "treasury",
+      type: "daily_treasury_real_yield_curve",
+      format: "csv",
+      url
+    }
+  };
+}
+
+const CSV_HEADERS = {
+  "accept": "text/csv,text/plain;q=0.9,*/*;q=0.8",
+  "cache-control": "no-cache",
+  "pragma": "no-cache"
+};
+
+function parseTreasuryRealYieldCsv(text) {
+  if (!text || typeof text !== "string") {
+    throw new Error("Treasury CSV empty");
+  }
+
+  const cleaned = text.replace(/^\uFEFF/, "").trim();
+  const lines = cleaned.split(/\r?\n/).filter(Boolean);
+
+  if (lines.length < 2) {
+    throw new Error("Treasury CSV too few lines");
+  }
+
+  const header = splitCsvLine(lines[0]).map(s => s.trim().replace(/^"|"$/g, ""));
+  const tenIdx = header.findIndex(h => /^10\s*yr$/i.test(h) || /^10\s*year$/i.test(h));
+  const dateIdx = header.findIndex(h => /^date$/i.test(h));
+
+  if (dateIdx === -1 || tenIdx === -1) {
+    throw new Error(`Treasury CSV header missing Date/10 Yr: ${header.join(" | ")}`);
+  }
+
+  const validRows = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    const row = splitCsvLine(lines[i]).map(s => s.trim().replace(/^"|"$/g, ""));
+    if (row.length <= Math.max(dateIdx, tenIdx)) continue;
+
+    const rawDate = row[dateIdx];
+    const rawValue = row[tenIdx];
+
+    if (!rawDate || !rawValue || rawValue === "N/A") continue;
+
+    const value = Number(rawValue);
+    if (!Number.isFinite(value)) continue;
+
+    const isoDate = normalizeUsDate(rawDate);
+    if (!isoDate) continue;
+
+    validRows.push({
+      asOf: isoDate,
+      value
+    });
+  }
+
+  if (!validRows.length) {
+    throw new Error("No numeric 10Y real yield found in Treasury CSV");
+  }
+
+  validRows.sort((a, b) => a.asOf.localeCompare(b.asOf));
+  return validRows[validRows.length - 1];
+}
+
+async function getRealYieldFromTreasuryTextView(http) {
+  const year = new Date().getUTCFullYear();
+  const url =
+    `https://home.treasury.gov/resource-center/data-chart-center/interest-rates/` +
+    `TextView?field_tdr_date_value=${year}&type=daily_treasury_real_yield_curve&_=${Date.now()}`;
+
+  const html = await http.text(url, {
+    label: "Treasury TextView",
+    headers: {
+      "accept": "text/html,text/plain;q=0.9,*/*;q=0.8",
+      "cache-control": "no-cache",
+      "pragma": "no-cache"
+    }
+  });
+  const parsed = parseTreasuryRealYieldHtml(html);
+
+  if (!parsed || !Number.isFinite(parsed.value)) {
+    throw new Error("Treasury HTML parse failed");
+  }
+
+  return {
+    value: parsed.value,
+    asOf: parsed.asOf,
+    source: {
+      provider: "treasury",
+      type: "daily_treasury_real_yield_curve",
+      format: "html",
+      url
+    }
+  };
+}
+
+function parseTreasuryRealYieldHtml(html) {
+  if (!html || typeof html !== "string") {
+    throw new Error("Treasury HTML empty");
+  }
+
+  // Grab table rows, then table cells.
+  const rowMatches = [...html.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)];
+  if (!rowMatches.length) {
+    throw new Error("No <tr> rows found");
+  }
+
+  for (let i = rowMatches.length - 1; i >= 0; i--) {
+    const rowHtml = rowMatches[i][1];
+    const cells = [...rowHtml.matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/gi)]
+      .map(m => stripHtml(m[1]).trim())
+      .filter(Boolean);
+
+    // Expected row shape: Date, 5 YR, 7 YR, 10 YR, 20 YR, 30 YR
+    if (cells.length < 4) continue;
+    if (!/^\d{2}\/\d{2}\/\d{4}$/.test(cells[0])) continue;
+
+    const rawDate = cells[0];
+    const raw10yr = cells[3];
+
+    if (!raw10yr || /^n\/a$/i.test(raw10yr)) continue;
+
+    const value = Number(raw10yr.replace(/[^0-9.\-]/g, ""));
+    if (!Number.isFinite(value)) continue;
+
+    return {
+      value,
+      asOf: normalizeUsDate(rawDate)
+    };
+  }
+
+  throw new Error("No valid Treasury 10Y real yield row found");
+}
+
+async function getRealYieldFromFredCsv(http, series) {
+  const url = `https://fred.stlouisfed.org/graph/fredgraph.csv?id=${encodeURIComponent(series)}`;
+  const points = parseFredCsvSeries(await http.text(url, { label: `FRED ${series}`, headers: CSV_HEADERS }));
+  const last = points[points.length - 1];
+
+  if (!last) throw new Error(`No numeric ${series} value in FRED CSV`);
+
+  return {
+    value: last.value,
+    asOf: last.date,
+    source: { provider: "fred", series, format: "csv", url }
+  };
+}
+
+/* -------------------- NOMINAL CURVE (2Y, 10Y): Treasury CSV primary, FRED backup -------------------- */
+
+async function getNominalCurveSafe(http) {
+  return await runChain("nominalCurve", [
+    { id: "treasury:csv", run: getNominalCurveFromTreasuryCsv },
+    { id: "fred:DGS2/DGS10", run: getNominalCurveFromFred }
+  ], { http });
+}
+
+async function getNominalCurveFromTreasuryCsv(http) {
+  const year = new Date().getUTCFullYear();
+  const urlFor = (y) =>
+    `https://home.treasury.gov/resource-center/data-chart-center/interest-rates/` +
+    `daily-treasury-rates.csv/${y}/all?_format=csv&field_tdr_date_value=${y}` +
+    `&page=&type=daily_treasury_yield_curve&_=${Date.now()}`;
+  const load = async (y) => parseTreasuryNominalCsv(await http.text(urlFor(y), { label: "Treasury nominal CSV", headers: CSV_HEADERS }));
+
+  let rows = await load(year);
+
+  // Early January has less than a trend window of rows; prepend the previous year.
+  const windowDays = FED_CONFIG.twoYearTrend.windowDays;
+  if (!rows.length || rows[0].date > shiftIsoDate(rows[rows.length - 1].date, -windowDays)) {
+    try {
+      rows = (await load(year - 1)).concat(rows);
+    } catch (e) {
+      // The current year alone still gives a level, just a shorter trend window.
+    }
+  }
+
+  const summary = summarizeNominalCurve(rows, windowDays);
+  if (!summary) throw new Error("No numeric 2Y/10Y rows in Treasury nominal CSV");
+
+  return {
+    value: summary,
+    asOf: summary.asOf,
+    source: {
+      provider: "treasury",
+      type: "daily_treasury_yield_curve",
+      format: "csv",
+      url: urlFor(year)
+    }
+  };
+}
+
+function parseTreasuryNominalCsv(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").trim().split(/\r?\n/).filter(Boolean);
+  if (lines.length < 2) throw new Error("Treasury nominal CSV too few lines");
+
+  const header = splitCsvLine(lines[0]).map(s => s.trim().replace(/^"|"$/g, ""));
+  const dateIdx = header.findIndex(h => /^date$/i.test(h));
+  const twoIdx = header.findIndex(h => /^2\s*yr$/i.test(h));
+  const tenIdx = header.findIndex(h => /^10\s*yr$/i.test(h));
+
+  if (dateIdx === -1 || twoIdx === -1 || tenIdx === -1) {
+    throw new Error(`Treasury nominal CSV header missing Date/2 Yr/10 Yr: ${header.join(" | ")}`);
+  }
+
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    const row = splitCsvLine(lines[i]).map(s => s.trim().replace(/^"|"$/g, ""));
+    const date = normalizeUsDate(row[dateIdx]);
+    const twoYear = parseFloat(row[twoIdx]);
+    const tenYear = parseFloat(row[tenIdx]);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || !Number.isFinite(twoYear) || !Number.isFinite(tenYear)) continue;
+    rows.push({ date, twoYear, tenYear });
+  }
+
+  return rows.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function getNominalCurveFromFred(http) {
+  const urlFor = (series) => `https://fred.stlouisfed.org/graph/fredgraph.csv?id=${series}`;
+  const [two, ten] = await Promise.all([
+    http.text(urlFor("DGS2"), { label: "FRED DGS2", headers: CSV_HEADERS }).then(parseFredCsvSeries),
+    http.text(urlFor("DGS10"), { label: "FRED DGS10", headers: CSV_HEADERS }).then(parseFredCsvSeries)
+  ]);
+
+  const tenByDate = new Map(ten.map(p => [p.date, p.value]));
+  const rows = two
+    .filter(p => tenByDate.has(p.date))
+    .map(p => ({ date: p.date, twoYear: p.value, tenYear: tenByDate.get(p.date) }));
+
+  const summary = summarizeNominalCurve(rows);
+  if (!summary) throw new Error("No overlapping DGS2/DGS10 observations");
+
+  return {
+    value: summary,
+    asOf: summary.asOf,
+    source: { provider: "fred", series: "DGS2/DGS10", format: "csv" }
+  };
+}
+
+function stripHtml(s) {
+  return String(s || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function normalizeUsDate(rawDate) {
+  if (!rawDate || !/^\d{2}\/\d{2}\/\d{4}$/.test(rawDate)) return rawDate || null;
+  const [mm, dd, yyyy] = rawDate.split("/");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+async function getSetfGoldPriceSafe(http) {
+  return await getYahooPriceSafe("SETFGOLD.NS", "setfGoldPrice", http);
+}
+
+/* -------------------- RSI(14) -------------------- */
+
+async function getRsi14Safe(symbol, factor, http) {
+  return await runChain(factor, [{
+    id: `yahoo:${symbol}`,
+    run: async (h) => {
+      const data = await fetchYahooCloses(h, symbol, "3mo");
+      return {
+        value: rsi(data.closes, 14),
+        asOf: data.asOf,
+        source: { provider: "yahoo", symbol, window: "3mo", interval: "1d" }
+      };
+    }
+  }], { http });
+}
+
+/* -------------------- technical timing (MACD, Bollinger, DMA, ATR) -------------------- */
+
+// A year of daily bars covers the 200-day average plus the crossover lookback. Caches the raw indicator values;
+// the labels and verdict are applied when the payload is assembled (lib/technicals.js).
+async function getTechnicalsSafe(symbol, factor, http) {
+  return await runChain(factor, [{
+    id: `yahoo:${symbol}`,
+    run: async (h) => {
+      const bars = await fetchYahooBars(h, symbol, "1y");
+      if (bars.closes.length < 60) throw providerError("no_data", `Not enough daily bars for technicals: ${symbol}`);
+      return {
+        value: technicalIndicators(bars),
+        asOf: bars.asOf,
+        source: { provider: "yahoo", symbol, window: "1y", interval: "1d" }
+      };
+    }
+  }], { http });
+}
+
+/* -------------------- relative valuation (1Y range) -------------------- */
+
+async function getGoldValuationSafe(symbol, factor, http) {
+  return await runChain(factor, [{
+    id: `yahoo:${symbol}`,
+    run: async (h) => {
+      const data = await fetchYahooCloses(h, symbol, "1y");
+      if (data.closes.length < 60) throw providerError("no_data", `Not enough close data for valuation: ${symbol}`);
+      return {
+        value: relativeValuation(data.closes),
+        asOf: data.asOf,
+        source: { provider: "yahoo", symbol, window: "1y", interval: "1d" }
+      };
+    }
+  }], { http });
+}
+
+/* -------------------- SBI iNAV -------------------- */
+
+async function getSbiGoldEtfInavSafe(fundName, factor, http) {
+  return await runChain(factor, [{
+    id: "sbimf:etf-nav",
+    run: async (h) => {
+      const j = await h.json("https://etf.sbimf.com/home/GetETFNAVDetailsAsync", {
+        label: "SBI iNAV",
+        headers: { "accept": "application/json" }
+      });
+      const rows = Array.isArray(j?.Data) ? j.Data : [];
+      if (!rows.length) throw providerError("no_data", "SBI iNAV: empty Data");
+
+      const wanted = fundName.toLowerCase();
+      const loose = new RegExp(wanted.split(/\s+/).join("\\s+"), "i");
+      const row =
+        rows.find(r => String(r.FundName || "").trim().toLowerCase() === wanted) ||
+        rows.find(r => loose.test(String(r.FundName || "")));
+
+      if (!row) throw providerError("no_data", `${fundName} not found in Data`);
+
+      const inav =
+        Number(row.LatestNAV) ||
+        Number(row.iNAV) ||
+        Number(row.NAV);
+
+      return {
+        value: requireNumber(inav, `${fundName} LatestNAV`),
+        asOf: row.LatestNAVDate || row.NavDate || null,
+        source: {
+          provider: "sbimf",
+          endpoint: "/home/GetETFNAVDetailsAsync",
+          fundName: row.FundName
+        }
+      };
+    }
+  }], { http });
+}
+
+/* -------------------- geo-risk proxies -------------------- */
+
+// One cached factor for all lib/georisk.js inputs. A symbol that fails leaves its proxies null; the factor
+// only fails when none of them loads.
+const GEO_SYMBOLS = { vix: "^VIX", gold: "GC=F", oil: "CL=F", dxy: "DX-Y.NYB" };
+
+async function getGeoProxiesSafe(http) {
+  return await runChain("geoProxies", [{
+    id: "yahoo:geo",
+    run: async (h) => {
+      const names = Object.keys(GEO_SYMBOLS);
+      const settled = await Promise.allSettled(names.map(n => fetchYahooCloses(h, GEO_SYMBOLS[n], "3mo")));
+      const loaded = settled.find(r => r.status === "fulfilled");
+      if (!loaded) throw settled[0].reason;
+
+      const data = Object.fromEntries(names.map((n, i) => [n, settled[i].status === "fulfilled" ? settled[i].value : null]));
+      const lastClose = (d) => (d ? d.closes[d.closes.length - 1] : null);
+      const divergenceDays = GEO_CONFIG.goldDxyDivergence.windowDays;
+
+      return {
+        value: {
+          vix: numberOrNull(data.vix?.latestPrice ?? lastClose(data.vix)),
+          goldVolatility: data.gold ? realizedVolatility(data.gold.closes, GEO_CONFIG.goldVolatility.windowDays) : null,
+          oilVolatility: data.oil ? realizedVolatility(data.oil.closes, GEO_CONFIG.oilVolatility.windowDays) : null,
+          goldChangePct: data.gold ? pctChange(data.gold.closes, divergenceDays) : null,
+          dxyChangePct: data.dxy ? pctChange(data.dxy.closes, divergenceDays) : null,
+          missing: names.filter(n => !data[n]).map(n => GEO_SYMBOLS[n])
+        },
+        asOf: Object.values(data).filter(Boolean).map(d => d.asOf).sort().pop(),
+        source: { provider: "yahoo", symbols: Object.values(GEO_SYMBOLS), window: "3mo", interval: "1d" }
+      };
+    }
+  }], { http });
+}
+
+/* -------------------- AMFI daily NAV -------------------- */
+
+// NAVAll.txt lists every scheme (~2 MB), so one download is shared by all instruments for a few minutes.
+const AMFI_NAV_URL = "https://www.amfiindia.com/spages/NAVAll.txt";
+const AMFI_MEMO_MS = 10 * 60 * 1000;
+const AMFI_TIMEOUT_MS = 20000;
+let amfiMemo = null;
+
+async function getAmfiNavSafe(nav, factor, http) {
+  return await runChain(factor, [{
+    id: "amfi:NAVAll",
+    run: async (h) => {
+      const rows = await loadAmfiNavRows(h);
+      const match = new RegExp(nav.match, "i");
+      const exclude = nav.exclude ? new RegExp(nav.exclude, "i") : null;
+      const row = rows.find(r => match.test(r.name) && !(exclude && exclude.test(r.name)));
+
+      if (!row) throw providerError("no_data", `No AMFI scheme matches ${nav.match}`);
+
+      return {
+        value: row.nav,
+        asOf: row.date,
+        source: { provider: "amfi", scheme: row.name, schemeCode: row.code }
+      };
+    }
+  }], { http });
+}
+
+async function loadAmfiNavRows(http) {
+  if (amfiMemo && Date.now() - amfiMemo.at < AMFI_MEMO_MS) return await amfiMemo.rows;
+
+  const rows = http.text(AMFI_NAV_URL, { label: "AMFI NAV", headers: { "accept": "text/plain" }, timeoutMs: AMFI_TIMEOUT_MS })
+    .then(parseAmfiNavText);
+
+  amfiMemo = { at: Date.now(), rows };
+  rows.catch(() => { amfiMemo = null; });
+  return await rows;
+}
+
+// Scheme Code;ISIN Div Payout/ISIN Growth;ISIN Div Reinvestment;Scheme Name;Net Asset Value;Date (dd-Mmm-yyyy)
+function parseAmfiNavText(text) {
+  const months = { jan: "01", feb: "02", mar: "03", apr: "04", may: "05", jun: "06", jul: "07", aug: "08", sep: "09", oct: "10", nov: "11", dec: "12" };
+  const rows = [];
+
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const parts = line.split(";");
+    if (parts.length < 6 || !/^\d+$/.test(parts[0].trim())) continue;
+
+    const nav = parseFloat(parts[4]);
+    const m = /^(\d{2})-([A-Za-z]{3})-(\d{4})$/.exec(parts[5].trim());
+    if (!Number.isFinite(nav)) continue;
+
+    rows.push({
+      code: parts[0].trim(),
+      name: parts[3].trim(),
+      nav,
+      date: m ? `${m[3]}-${months[m[2].toLowerCase()]}-${m[1]}` : parts[5].trim()
+    });
+  }
+
+  if (!rows.length) throw new Error("AMFI NAV file had no rows");
+  return rows;
+}
+
+/* -------------------- yahoo helpers -------------------- */
+
+// One chart request serves quotes (latest price), 30-day change and close series.
+async function fetchYahooChart(http, symbol, range = "1mo", interval = "1d") {
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=${range}&interval=${interval}&_=${Date.now()}`;
+  const j = await http.json(url, {
+    label: `Yahoo ${symbol}`,
+    headers: { "accept": "application/json,text/plain,*/*" }
+  });
+
+  const result = j?.chart?.result?.[0];
+  if (!result) throw providerError("parse_error", `Yahoo parse failed for ${symbol}`);
+
+  const meta = result.meta || {};
+  const latestPrice =
+    (typeof meta.regularMarketPrice === "number" && Number.isFinite(meta.regularMarketPrice) ? meta.regularMarketPrice : null) ??
+    (typeof meta.previousClose === "number" && Number.isFinite(meta.previousClose) ? meta.previousClose : null);
+
+  const asOf = meta?.regularMarketTime
+    ? new Date(meta.regularMarketTime * 1000).toISOString()
+    : new Date().toISOString();
+
+  const closes = (result?.indicators?.quote?.[0]?.close || []).filter(x => typeof x === "number" && Number.isFinite(x));
+  const first = closes[0];
+  const last = closes[closes.length - 1];
+  const pctChangeFromFirstPoint = closes.length && first !== 0 ? ((last - first) / first) * 100 : null;
+
+  return { latestPrice, asOf, closes, pctChangeFromFirstPoint };
+}
+
+async function fetchYahooCloses(http, symbol, range) {
+  const data = await fetchYahooChart(http, symbol, range);
+  if (data.closes.length < 20) throw providerError("no_data", `Not enough close data (${range}): ${symbol}`);
+  return data;
+}
+
+// Daily high / low / close, keeping only sessions where all three are present (ATR needs them aligned).
+async function fetchYahooBars(http, symbol, range) {
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=${range}&interval=1d&_=${Date.now()}`;
+  const j = await http.json(url, {
+    label: `Yahoo ${symbol}`,
+    headers: { "accept": "application/json,text/plain,*/*" }
+  });
+
+  const result = j?.chart?.result?.[0];
+  const quote = result?.indicators?.quote?.[0];
+  if (!quote) throw providerError("parse_error", `Yahoo parse failed for ${symbol}`);
+
+  const ok = (x) => typeof x === "number" && Number.isFinite(x);
+  const bars = { closes: [], highs: [], lows: [] };
+  (quote.close || []).forEach((c, i) => {
+    if (!ok(c) || !ok(quote.high?.[i]) || !ok(quote.low?.[i])) return;
+    bars.closes.push(c);
+    bars.highs.push(quote.high[i]);
+    bars.lows.push(quote.low[i]);
+  });
+
+  const time = result.meta?.regularMarketTime;
+  return { ...bars, asOf: time ? new Date(time * 1000).toISOString() : new Date().toISOString() };
+}
+
+/* -------------------- stooq helpers -------------------- */
+
+async function fetchStooqClose(http, symbol, computePct = false) {
+  const url = `https://stooq.com/q/l/?s=${encodeURIComponent(symbol)}&i=d&_=${Date.now()}`;
+  const text = await http.text(url, { label: `Stooq ${symbol}`, headers: { "accept": "text/csv" } });
+
+  const lines = text.trim().split(/\r?\n/).filter(Boolean);
+  if (lines.length < 2) throw providerError("no_data", `Stooq CSV empty for ${symbol}`);
+
+  const rows = lines.slice(1, 31).map(line => line.split(",")).filter(p => p.length >= 5);
+  const closes = rows.map(r => parseFloat(r[4])).filter(n => Number.isFinite(n));
+
+  if (!closes.length) throw providerError("parse_error", `Stooq close parse failed for ${symbol}`);
+
+  const last = closes[0];
+  const oldest = closes[closes.length - 1];
+
+  let pct30d = null;
+  if (computePct && Number.isFinite(last) && Number.isFinite(oldest) && oldest !== 0) {
+    pct30d = ((last - oldest) / oldest) * 100;
+  }
+
+  // Second column is the quote date (YYYYMMDD or YYYY-MM-DD); no date means the age cannot be checked.
+  const d = String(rows[0]?.[1] || "").replace(/^(\d{4})(\d{2})(\d{2})$/, "$1-$2-$3");
+  const asOf = /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+
+  return { last, pct30d, asOf };
+}
+
+function requireNumber(v, label) {
+  if (typeof v !== "number" || !Number.isFinite(v)) throw providerError("no_data", `${label} missing`);
+  return v;
+}
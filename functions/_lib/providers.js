@@ -0,0 +1,266 @@
+/* -------------------- data-provider layer -------------------- */
+
+// Every upstream request goes through one HTTP client: a per-call timeout, bounded retries on transient
+// failures (timeouts, network errors, 429 and 5xx) and a per-host circuit breaker that skips hosts that
+// keep failing. Factors declare an ordered chain of providers; runChain returns the first success or a
+// structured error record, and never throws.
+//
+// Tests inject a fake fetch: createHttpClient({ fetchImpl, breaker: createCircuitBreaker(), sleep: async () => {} }).
+
+import { createValidator } from "./validation.js";
+
+export const PROVIDER_DEFAULTS = {
+  timeoutMs: 8000,
+  retries: 1,
+  retryDelayMs: 300,
+  failureThreshold: 3,
+  cooldownMs: 5 * 60 * 1000
+};
+
+// failureThreshold consecutive transient failures open a host for cooldownMs. After that one trial call
+// is let through (half-open) and the rest are skipped while it is in flight: success closes the circuit,
+// another failure opens it again. A trial that never reports back frees the slot after another cooldownMs.
+export function createCircuitBreaker({
+  failureThreshold = PROVIDER_DEFAULTS.failureThreshold,
+  cooldownMs = PROVIDER_DEFAULTS.cooldownMs,
+  now = () => Date.now()
+} = {}) {
+  const hosts = new Map();
+
+  const stateOf = (host) => {
+    const h = hosts.get(host);
+    if (!h || h.openedAt === null) return "closed";
+    return now() - h.openedAt >= cooldownMs ? "half-open" : "open";
+  };
+
+  return {
+    state: stateOf,
+
+    canRequest(host) {
+      const state = stateOf(host);
+      if (state !== "half-open") return state === "closed";
+      const h = hosts.get(host);
+      if (h.trialAt !== null && now() - h.trialAt < cooldownMs) return false;
+      h.trialAt = now();
+      return true;
+    },
+
+    success(host) {
+      hosts.delete(host);
+    },
+
+    failure(host) {
+      const h = hosts.get(host) || { failures: 0, openedAt: null, trialAt: null };
+      h.failures++;
+      h.trialAt = null;
+      if (h.failures >= failureThreshold) h.openedAt = now();
+      hosts.set(host, h);
+    },
+
+    snapshot() {
+      return Object.fromEntries([...hosts].map(([host, h]) => [host, {
+        state: stateOf(host),
+        failures: h.failures,
+        openUntil: h.openedAt === null ? null : new Date(h.openedAt + cooldownMs).toISOString()
+      }]));
+    }
+  };
+}
+
+// Shared by every request in this isolate, so a host that failed for one factor is skipped by the next.
+const defaultBreaker = createCircuitBreaker();
+
+export function createHttpClient({
+  fetchImpl = (...args) => fetch(...args),
+  breaker = defaultBreaker,
+  timeoutMs = PROVIDER_DEFAULTS.timeoutMs,
+  retries = PROVIDER_DEFAULTS.retries,
+  retryDelayMs = PROVIDER_DEFAULTS.retryDelayMs,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  async function request(url, { as, label = url, headers = {}, timeoutMs: callTimeoutMs = timeoutMs }) {
+    const host = new URL(url).host;
+    if (!breaker.canRequest(host)) {
+      throw providerError("circuit_open", `${host} skipped: circuit open`, { host, attempts: 0 });
+    }
+
+    let err = null;
+    let attempt = 0;
+
+    while (attempt <= retries) {
+      attempt++;
+      try {
+        const body = await fetchOnce(fetchImpl, url, { as, label, headers, timeoutMs: callTimeoutMs });
+        breaker.success(host);
+        return body;
+      } catch (e) {
+        err = e.code ? e : providerError("network_error", `${label}: ${String(e?.message || e)}`, { retryable: true });
+        if (!err.retryable || attempt > retries) break;
+        await sleep(retryDelayMs * attempt);
+      }
+    }
+
+    // A 4xx or a bad body means the request was wrong, not that the host is down.
+    if (err.retryable) breaker.failure(host);
+    else breaker.success(host);
+
+    err.host = host;
+    err.attempts = attempt;
+    throw err;
+  }
+
+  return {
+    breaker,
+    text: (url, opts = {}) => request(url, { ...opts, as: "text" }),
+    json: (url, opts = {}) => request(url, { ...opts, as: "json" })
+  };
+}
+
+async function fetchOnce(fetchImpl, url, { as, label, headers, timeoutMs }) {
+  const controller = new AbortController();
+  let timer;
+  // Not every fetch (or fake) honours the signal, so the race bounds the wait either way.
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(providerError("timeout", `${label}: no response in ${timeoutMs} ms`, { retryable: true }));
+    }, timeoutMs);
+  });
+
+  const body = (async () => {
+    const res = await fetchImpl(url, { headers: { "user-agent": "Mozilla/5.0", ...headers }, redirect: "follow", signal: controller.signal });
+    if (!res.ok) {
+      throw providerError("http_error", `${label} HTTP ${res.status}`, {
+        status: res.status,
+        retryable: res.status === 429 || res.status >= 500
+      });
+    }
+
+    const text = await res.text();
+    if (as !== "json") return text;
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw providerError("parse_error", `${label}: response is not JSON`);
+    }
+  })();
+  body.catch(() => {});
+
+  try {
+    return await Promise.race([body, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Errors thrown inside a provider that did not come from the client are treated as parse failures.
+export function providerError(code, message, extra = {}) {
+  const e = new Error(message);
+  e.code = code;
+  e.retryable = false;
+  return Object.assign(e, extra);
+}
+
+let defaultHttp = null;
+
+export function defaultHttpClient() {
+  defaultHttp ??= createHttpClient();
+  return defaultHttp;
+}
+
+/* -------------------- provider chains -------------------- */
+
+// chain: [{ id: "yahoo:DX-Y.NYB", run: async (http) => factorObject }], tried in order.
+// empty: fields a failed factor still carries (e.g. usdInr's trend), merged under value/asOf/source/error.
+// validator: see validation.js (defaults to the factor's rules). Rejected values count as failed attempts, and the
+// winner gets a `validation` grade from a cross-check against the next provider of a different source.
+// crossChecks: where cross-checks are kept for reuse (shared by the isolate by default; tests pass their own Map).
+export async function runChain(factor, chain, {
+  http = defaultHttpClient(),
+  empty = {},
+  validator = createValidator(factor),
+  crossChecks = defaultCrossChecks,
+  now = () => Date.now()
+} = {}) {
+  const attempts = [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const provider = chain[i];
+    try {
+      const out = await provider.run(http);
+      if (!validator) return out;
+
+      validator.accept(out);
+      const notes = attempts.map(a => `${a.provider} ${a.code === "implausible" || a.code === "stale" ? "rejected" : "failed"}: ${a.message}`);
+      const reference = validator.crossCheckMinutes === null ? null
+        : await cachedReference(`${factor}|${provider.id}`, () => referenceFor(chain.slice(i + 1), provider, http, validator, notes), {
+          crossChecks, notes, maxAgeMs: validator.crossCheckMinutes * 60 * 1000, now
+        });
+      return { ...out, validation: validator.assess(out, reference, notes) };
+    } catch (e) {
+      attempts.push(attemptRecord(provider, e));
+    }
+  }
+
+  const error = {
+    factor,
+    code: !attempts.length ? "no_providers"
+      : attempts.every(a => a.code === "circuit_open") ? "circuit_open"
+      : attempts[attempts.length - 1].code,
+    message: attempts.map(a => `${a.provider}: ${a.message}`).join(" | ").slice(0, 700),
+    attempts,
+    at: new Date().toISOString()
+  };
+
+  return {
+    ...empty,
+    value: null,
+    asOf: null,
+    source: { provider: chain.map(p => p.id).join(" → "), note: error.code },
+    error
+  };
+}
+
+// One cross-check per factor and winning provider per window: a refresh inside it grades against the stored
+// reference instead of calling the second source again (each extra call is upstream load and can trip its breaker).
+const defaultCrossChecks = new Map();
+
+async function cachedReference(key, run, { crossChecks, notes, maxAgeMs, now }) {
+  const hit = crossChecks.get(key);
+  if (hit && now() - hit.at < maxAgeMs) {
+    notes.push(...hit.notes, `cross-check from ${new Date(hit.at).toISOString()} reused`);
+    return hit.reference;
+  }
+
+  const before = notes.length;
+  const reference = await run();
+  crossChecks.set(key, { at: now(), reference, notes: notes.slice(before) });
+  return reference;
+}
+
+// First later provider from another source whose value passes the same checks.
+async function referenceFor(rest, primary, http, validator, notes) {
+  const family = (id) => id.split(":")[0];
+
+  for (const provider of rest.filter(p => family(p.id) !== family(primary.id))) {
+    try {
+      const obj = await provider.run(http);
+      validator.accept(obj);
+      if (obj?.value !== null && obj?.value !== undefined) return { provider: provider.id, obj };
+    } catch (e) {
+      notes.push(`${provider.id} unavailable for cross-check: ${attemptRecord(provider, e).message}`);
+    }
+  }
+  return null;
+}
+
+function attemptRecord(provider, e) {
+  return {
+    provider: provider.id,
+    code: e?.code || "parse_error",
+    message: String(e?.message || e).slice(0, 300),
+    ...(e?.host ? { host: e.host } : {}),
+    ...(e?.status ? { status: e.status } : {}),
+    ...(Number.isFinite(e?.attempts) ? { tries: e.attempts } : {})
+  };
+}
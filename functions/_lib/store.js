@@ -0,0 +1,75 @@
+/* -------------------- key/value store -------------------- */
+
+// Production binds a Cloudflare KV namespace as RADAR_KV (Pages → Settings → Functions).
+// Without the binding we fall back to an in-memory map so local runs and tests still work.
+
+const memory = new Map();
+
+export function getStore(env) {
+  if (env?.RADAR_KV) return kvStore(env.RADAR_KV);
+  return memoryStore(memory);
+}
+
+export function kvStore(kv) {
+  return {
+    kind: "kv",
+
+    async get(key) {
+      return await kv.get(key, { type: "json" });
+    },
+
+    async put(key, value, options = {}) {
+      const opts = {};
+      if (Number.isFinite(options.ttlSeconds)) opts.expirationTtl = Math.max(60, options.ttlSeconds);
+      await kv.put(key, JSON.stringify(value), opts);
+    },
+
+    async delete(key) {
+      await kv.delete(key);
+    },
+
+    async list(prefix) {
+      const keys = [];
+      let cursor;
+
+      do {
+        const page = await kv.list({ prefix, cursor });
+        for (const k of page.keys || []) keys.push(k.name);
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+
+      return keys.sort();
+    }
+  };
+}
+
+export function memoryStore(map = new Map()) {
+  return {
+    kind: "memory",
+
+    async get(key) {
+      const hit = map.get(key);
+      if (!hit) return null;
+      if (hit.expiresAt && hit.expiresAt <= Date.now()) {
+        map.delete(key);
+        return null;
+      }
+      return structuredClone(hit.value);
+    },
+
+    async put(key, value, options = {}) {
+      map.set(key, {
+        value: structuredClone(value),
+        expiresAt: Number.isFinite(options.ttlSeconds) ? Date.now() + options.ttlSeconds * 1000 : null
+      });
+    },
+
+    async delete(key) {
+      map.delete(key);
+    },
+
+    async list(prefix = "") {
+      return [...map.keys()].filter(k => k.startsWith(prefix)).sort();
+    }
+  };
+}
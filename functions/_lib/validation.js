@@ -0,0 +1,133 @@
+/* -------------------- factor validation -------------------- */
+
+// Plugged into the provider chains (providers.js). A fetched value outside its plausible range, or older than
+// the factor's max age, is rejected and the next provider is tried. The accepted value is then compared with the
+// next provider from a different source (yahoo vs stooq, treasury vs fred) where the chain has one.
+//
+// confidence: high    plausible, fresh, and a second source agrees within tolerance
+//             medium  plausible and fresh, but nothing to compare against (single source, or the other one is down)
+//             low     a second source disagrees beyond tolerance
+// The factor store downgrades a stale cached value to low when serving it (factor-cache.js).
+
+export const CONFIDENCE_LEVELS = ["high", "medium", "low"];
+
+// range: plausible [min, max]; pick: the number to check when the value is an object;
+// maxAgeHours: reject older asOf (weekends and NSE holidays included); tolerance: { pct } or { abs } for the cross-check;
+// crossCheckMinutes: how long one cross-check is reused before the second source is asked again (the factor's
+// staleMinutes in factor-cache.js), so the extra upstream call is made at most once per stale window.
+export const FACTOR_RULES = {
+  dxy: { range: [70, 130], maxAgeHours: 96, tolerance: { pct: 1 }, crossCheckMinutes: 60 },
+  usdInr: { range: [60, 120], maxAgeHours: 96, tolerance: { pct: 0.5 }, crossCheckMinutes: 60 },
+  goldSpot: { range: [1000, 10000], maxAgeHours: 96, tolerance: { pct: 1.5 }, crossCheckMinutes: 60 },
+  realYield: { range: [-3, 5], maxAgeHours: 24 * 7, tolerance: { abs: 0.1 }, crossCheckMinutes: 1440 },
+  nominalCurve: { range: [-1, 10], pick: v => v?.twoYear, maxAgeHours: 24 * 7, tolerance: { abs: 0.1 }, crossCheckMinutes: 1440 },
+  setfGoldPrice: { range: [10, 2000], maxAgeHours: 120 },
+  setfGoldValuation: { range: [0, 100], pick: v => v?.percentile1y, maxAgeHours: 120 },
+  rsi14Setfgold: { range: [0, 100], maxAgeHours: 120 },
+  technicalsSetfgold: { range: [10, 2000], pick: v => v?.close, maxAgeHours: 120 },
+  // SBI's NAV date is free text, so only the range is checked.
+  sbiGoldEtfInav: { range: [10, 2000] },
+  // Only the VIX level has a meaningful range; the volatilities and moves are derived from checked closes.
+  geoProxies: { range: [5, 150], pick: v => v?.vix, maxAgeHours: 96 }
+};
+
+// Registry instruments span ₹10 ETF units to ₹15,000 SGBs, so only sanity bounds apply.
+const INSTRUMENT_RULES = {
+  price: { range: [0.01, 100000], maxAgeHours: 120 },
+  rsi14: { range: [0, 100], maxAgeHours: 120 },
+  nav: { range: [0.01, 100000] }
+};
+
+// Non-default markets (lib/markets.js): currencies from AED 3.67 to INR 88 per USD, prices in any currency.
+const MARKET_RULES = {
+  fx: { range: [0.01, 1000], maxAgeHours: 96, tolerance: { pct: 0.5 }, crossCheckMinutes: 60 },
+  price: { range: [0.01, 100000], maxAgeHours: 120 },
+  valuation: { range: [0, 100], pick: v => v?.percentile1y, maxAgeHours: 120 },
+  rsi14: { range: [0, 100], maxAgeHours: 120 }
+};
+
+export function rulesFor(factor) {
+  if (FACTOR_RULES[factor]) return FACTOR_RULES[factor];
+  const m = /^(instrument|market):[^:]+:(\w+)$/.exec(factor);
+  if (!m) return null;
+  return (m[1] === "market" ? MARKET_RULES : INSTRUMENT_RULES)[m[2]] ?? null;
+}
+
+// The validator runChain expects: accept() throws to reject a provider's value, assess() grades the winner.
+export function createValidator(factor, { now = () => Date.now() } = {}) {
+  const rules = rulesFor(factor);
+  if (!rules) return null;
+  const valueOf = (obj) => (rules.pick ? rules.pick(obj?.value) : obj?.value);
+
+  return {
+    // null: the factor has no tolerance, so no second source is asked.
+    crossCheckMinutes: rules.tolerance ? rules.crossCheckMinutes ?? 0 : null,
+
+    accept(obj) {
+      const v = valueOf(obj);
+      if (typeof v !== "number" || !Number.isFinite(v)) return;
+
+      const [min, max] = rules.range;
+      if (v < min || v > max) throw validationError("implausible", `${factor} ${v} outside ${min}–${max}`);
+
+      const ageHours = ageInHours(obj.asOf, now());
+      if (rules.maxAgeHours && ageHours !== null && ageHours > rules.maxAgeHours) {
+        throw validationError("stale", `${factor} as of ${obj.asOf} is ${Math.round(ageHours)} h old (max ${rules.maxAgeHours} h)`);
+      }
+    },
+
+    // reference: { provider, obj } or null; notes: what happened to other providers (rejections, failures).
+    assess(obj, reference, notes = []) {
+      const checks = [...notes];
+      if (!reference || !rules.tolerance) {
+        if (rules.tolerance) checks.push("no second source to compare");
+        return { confidence: "medium", checks };
+      }
+
+      const a = valueOf(obj);
+      const b = valueOf(reference.obj);
+      const diff = a - b;
+      const diffPct = b !== 0 ? (diff / b) * 100 : null;
+      const agrees = rules.tolerance.pct !== undefined
+        ? diffPct !== null && Math.abs(diffPct) <= rules.tolerance.pct
+        : Math.abs(diff) <= rules.tolerance.abs;
+
+      const limit = rules.tolerance.pct !== undefined ? `${rules.tolerance.pct}%` : `${rules.tolerance.abs}`;
+      checks.push(`${reference.provider} ${round4(b)} ${agrees ? "agrees" : "disagrees"} (diff ${round4(diff)}${diffPct === null ? "" : `, ${round2(diffPct)}%`}; tolerance ${limit})`);
+
+      return {
+        confidence: agrees ? "high" : "low",
+        checks,
+        reference: { provider: reference.provider, value: round4(b), diff: round4(diff), diffPct: diffPct === null ? null : round2(diffPct) }
+      };
+    }
+  };
+}
+
+// Lowest of several levels; "missing" inputs are ignored.
+export function lowestConfidence(levels) {
+  const present = levels.filter(l => CONFIDENCE_LEVELS.includes(l));
+  if (!present.length) return "missing";
+  return CONFIDENCE_LEVELS[Math.max(...present.map(l => CONFIDENCE_LEVELS.indexOf(l)))];
+}
+
+function validationError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// asOf: ISO timestamp or YYYY-MM-DD (end of that UTC day). null when there is nothing to check.
+function ageInHours(asOf, nowMs) {
+  if (!asOf) return null;
+  const t = /^\d{4}-\d{2}-\d{2}$/.test(asOf) ? Date.parse(`${asOf}T23:59:59Z`) : Date.parse(asOf);
+  return Number.isNaN(t) ? null : Math.max(0, (nowMs - t) / 3600000);
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function round4(v) {
+  return Math.round(v * 10000) / 10000;
+}
@@ -0,0 +1,88 @@
+/* -------------------- Web Push (VAPID, no payload) -------------------- */
+
+// Pushes carry no payload, so there is no RFC 8291 encryption to do: the service worker wakes up
+// and pulls its messages from /api/alerts/inbox. Only the VAPID JWT (ES256) has to be signed here.
+//
+// Keys are base64url: VAPID_PUBLIC_KEY is the 65-byte uncompressed P-256 point, VAPID_PRIVATE_KEY the
+// 32-byte scalar. Generate a pair with: node scripts/generate-vapid-keys.mjs
+
+export function createWebPushSender({ publicKey, privateKey, subject, fetchImpl = fetch }) {
+  if (!publicKey || !privateKey || !subject) {
+    throw new Error("VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT are required");
+  }
+
+  let signingKey = null;
+
+  return {
+    async send(subscription, { ttlSeconds = 86400, urgency = "normal" } = {}) {
+      const endpoint = subscription?.endpoint;
+      if (!endpoint) return { ok: false, gone: true, status: 0 };
+
+      signingKey ??= await importVapidPrivateKey(publicKey, privateKey);
+      const jwt = await signVapidJwt(signingKey, new URL(endpoint).origin, subject);
+
+      const res = await fetchImpl(endpoint, {
+        method: "POST",
+        headers: {
+          "authorization": `vapid t=${jwt}, k=${publicKey}`,
+          "ttl": String(ttlSeconds),
+          "urgency": urgency,
+          "content-length": "0"
+        }
+      });
+
+      return {
+        ok: res.ok,
+        gone: res.status === 404 || res.status === 410,
+        status: res.status
+      };
+    }
+  };
+}
+
+async function importVapidPrivateKey(publicKey, privateKey) {
+  const pub = base64UrlToBytes(publicKey);
+  if (pub.length !== 65 || pub[0] !== 4) throw new Error("VAPID_PUBLIC_KEY must be an uncompressed P-256 point");
+
+  return await crypto.subtle.importKey(
+    "jwk",
+    {
+      kty: "EC",
+      crv: "P-256",
+      x: bytesToBase64Url(pub.slice(1, 33)),
+      y: bytesToBase64Url(pub.slice(33, 65)),
+      d: privateKey,
+      ext: true
+    },
+    { name: "ECDSA", namedCurve: "P-256" },
+    false,
+    ["sign"]
+  );
+}
+
+async function signVapidJwt(key, audience, subject) {
+  const enc = new TextEncoder();
+  const header = bytesToBase64Url(enc.encode(JSON.stringify({ typ: "JWT", alg: "ES256" })));
+  const claims = bytesToBase64Url(enc.encode(JSON.stringify({
+    aud: audience,
+    exp: Math.floor(Date.now() / 1000) + 12 * 3600,
+    sub: subject
+  })));
+
+  const unsigned = `${header}.${claims}`;
+  // WebCrypto returns the raw r||s form, which is exactly what JWS ES256 expects.
+  const sig = await crypto.subtle.sign({ name: "ECDSA", hash: "SHA-256" }, key, enc.encode(unsigned));
+  return `${unsigned}.${bytesToBase64Url(new Uint8Array(sig))}`;
+}
+
+export function base64UrlToBytes(s) {
+  const b64 = String(s).replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(s.length / 4) * 4, "=");
+  const bin = atob(b64);
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+export function bytesToBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
@@ -0,0 +1,25 @@
+import { getStore } from "../../_lib/store.js";
+import { takeInbox } from "../../_lib/alert-runner.js";
+
+// POST { endpoint } → pending alert messages for this push subscription (then cleared).
+// Called by sw.js when a payload-less push arrives.
+export async function onRequestPost(context) {
+  try {
+    const body = await context.request.json();
+    if (!body?.endpoint) throw new Error("endpoint is required");
+
+    const messages = await takeInbox(getStore(context.env), body.endpoint);
+    return new Response(JSON.stringify({ messages }), {
+      status: 200,
+      headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" }
+    });
+  } catch (err) {
+    return new Response(JSON.stringify({
+      error: "alerts_inbox_failed",
+      message: String(err?.message || err)
+    }), {
+      status: 400,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+}
@@ -0,0 +1,69 @@
+import { getStore } from "../../_lib/store.js";
+import { saveSubscription, deleteSubscription } from "../../_lib/alert-runner.js";
+import { ALERT_RULE_TYPES, validateRules } from "../../../lib/alerts.js";
+
+// GET    → VAPID public key + supported rule types (the page needs the key to subscribe)
+// POST   { subscription, rules, profileId?, geoRisk? } → store / replace the rules for this device
+// DELETE { endpoint } → forget this device
+
+export async function onRequestGet(context) {
+  return json({
+    publicKey: context.env?.VAPID_PUBLIC_KEY || null,
+    ruleTypes: ALERT_RULE_TYPES
+  });
+}
+
+export async function onRequestPost(context) {
+  let body;
+  try {
+    body = await context.request.json();
+  } catch (e) {
+    return json({ error: "bad_alerts_request", message: "Body must be JSON" }, 400);
+  }
+
+  const subscription = body?.subscription;
+  if (!subscription?.endpoint || !/^https:\/\//.test(subscription.endpoint)) {
+    return json({ error: "bad_alerts_request", message: "subscription.endpoint must be an https URL" }, 400);
+  }
+
+  const v = validateRules(body.rules);
+  if (!v.ok) {
+    return json({ error: "bad_alert_rules", message: v.errors.join("; ") }, 400);
+  }
+
+  try {
+    const record = await saveSubscription(getStore(context.env), {
+      subscription,
+      rules: body.rules,
+      profileId: body.profileId,
+      geoRisk: body.geoRisk
+    });
+    return json({ id: record.id, rules: record.rules.length, profileId: record.profileId, updatedAt: record.updatedAt });
+  } catch (err) {
+    return json({ error: "alerts_api_failed", message: String(err?.message || err) }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  let body;
+  try {
+    body = await context.request.json();
+  } catch (e) {
+    return json({ error: "bad_alerts_request", message: "Body must be JSON" }, 400);
+  }
+  if (!body?.endpoint) return json({ error: "bad_alerts_request", message: "endpoint is required" }, 400);
+
+  try {
+    const id = await deleteSubscription(getStore(context.env), body.endpoint);
+    return json({ id, deleted: true });
+  } catch (err) {
+    return json({ error: "alerts_api_failed", message: String(err?.message || err) }, 500);
+  }
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" }
+  });
+}
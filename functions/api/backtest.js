@@ -0,0 +1,50 @@
+import { buildReplayRows, runBacktest } from "../../lib/backtest.js";
+import { DEFAULT_PROFILE, findBuiltinProfile } from "../../lib/profiles.js";
+import { loadFixturesFromAssets, fixturesMissingResponse } from "../_lib/fixtures.js";
+
+// /api/backtest?from=YYYY-MM-DD&to=YYYY-MM-DD&geoRisk=medium&profile=default
+// Replays the core score over the recorded fixtures in /fixtures/backtest (no upstream calls).
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const from = url.searchParams.get("from") || null;
+  const to = url.searchParams.get("to") || null;
+  const geoRisk = ["low", "medium", "high"].includes(url.searchParams.get("geoRisk"))
+    ? url.searchParams.get("geoRisk")
+    : "medium";
+  const profile = findBuiltinProfile(url.searchParams.get("profile")) || DEFAULT_PROFILE;
+
+  let series;
+  try {
+    series = await loadFixturesFromAssets(context);
+  } catch (err) {
+    return fixturesMissingResponse(err);
+  }
+
+  try {
+    const rows = buildReplayRows(series, { from, to, geoRisk, profile });
+    if (rows.length < 2) throw new Error("Not enough SETFGOLD history in range");
+
+    const result = {
+      ...runBacktest(rows),
+      assumptions: { geoRisk, profile: { id: profile.id, name: profile.name }, source: "fixtures" },
+      asOf: new Date().toISOString()
+    };
+
+    return new Response(JSON.stringify(result), {
+      status: 200,
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        "cache-control": "public, max-age=3600"
+      }
+    });
+  } catch (err) {
+    return new Response(JSON.stringify({
+      error: "backtest_failed",
+      message: String(err?.message || err),
+      asOf: new Date().toISOString()
+    }), {
+      status: 500,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+}
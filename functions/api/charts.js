@@ -0,0 +1,47 @@
+import { getStore } from "../_lib/store.js";
+import { readHistory } from "../_lib/history.js";
+import { readDailySeries } from "../_lib/factor-cache.js";
+import { premiumDiscountPct } from "../../lib/scoring.js";
+import { shiftIsoDate } from "../../lib/series.js";
+
+// Daily histories for the page charts: SETFGOLD (2y), DXY, USD/INR and the real yield (1y) from the series store,
+// and the iNAV premium from the daily snapshots (no upstream keeps iNAV history). The page slices 1M/3M/1Y
+// and replays the core score itself, so the active profile and geo setting apply.
+export async function onRequestGet(context) {
+  const cacheSeconds = 3600;
+
+  try {
+    const store = getStore(context?.env);
+    const now = new Date();
+    const { series, staleness, errors } = await readDailySeries(store, { now });
+
+    const to = now.toISOString().slice(0, 10);
+    const snapshots = await readHistory(store, { from: shiftIsoDate(to, -400), to, fields: ["setfGoldPrice", "sbiGoldEtfInav"] });
+    const inavPremium = snapshots
+      .map(s => ({ date: s.date, value: premiumDiscountPct(s.setfGoldPrice, s.sbiGoldEtfInav) }))
+      .filter(p => p.value !== null)
+      .map(p => ({ date: p.date, value: Math.round(p.value * 100) / 100 }));
+
+    return new Response(JSON.stringify({
+      series: { ...series, inavPremium },
+      staleness,
+      errors,
+      asOf: now.toISOString()
+    }), {
+      status: 200,
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        "cache-control": `public, max-age=${cacheSeconds}`
+      }
+    });
+  } catch (err) {
+    return new Response(JSON.stringify({
+      error: "charts_api_failed",
+      message: String(err?.message || err),
+      asOf: new Date().toISOString()
+    }), {
+      status: 500,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+}
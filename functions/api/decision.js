@@ -0,0 +1,147 @@
+import { getStore } from "../_lib/store.js";
+import { readCachedMarket, readLocalMarket } from "../_lib/factor-cache.js";
+import { computeDecision, decisionConfidence, inputsFromMarket } from "../../lib/scoring.js";
+import { explainDecision } from "../../lib/explain.js";
+import { DEFAULT_PROFILE, findBuiltinProfile } from "../../lib/profiles.js";
+import { DEFAULT_MARKET_ID, MARKETS, findMarket, marketProfile } from "../../lib/markets.js";
+import { fairValueConfigFromEnv } from "../../lib/fairvalue.js";
+import { normalizeFedSignal } from "../../lib/fed.js";
+
+// Optional query overrides, e.g. /api/decision?geoRisk=high&realYield=1.4&profile=conservative
+// ?market=US|AE scores that market's local gold and currency (lib/markets.js); default India.
+const NUMERIC_OVERRIDES = ["dxy", "realYield", "goldPctile", "setfPrice", "rsi", "sbiInav"];
+// An overridden input replaces the fetched value, so its fetch quality no longer applies.
+const OVERRIDE_QUALITY_FIELDS = { dxy: "dxy", realYield: "realYield", goldPctile: "setfGoldValuation", inrTrend: "usdInr", geoRisk: "geoRisk" };
+
+const CHOICE_OVERRIDES = {
+  geoRisk: ["low", "medium", "high"],
+  inrTrend: ["weakening", "stable", "strengthening"],
+  fedTone: ["dovish", "neutral", "hawkish"]
+};
+
+export async function onRequestGet(context) {
+  const cacheSeconds = 60;
+
+  try {
+    const url = new URL(context.request.url);
+    const overrides = parseOverrides(url.searchParams);
+    // ?fomcBias= feeds the derived Fed tone in place of the FOMC_BIAS variable (?fedTone= still replaces the tone).
+    const callerBias = knownBias(url.searchParams.get("fomcBias"));
+    const market = findMarket(url.searchParams.get("market") || DEFAULT_MARKET_ID);
+    if (!market) {
+      return new Response(JSON.stringify({
+        error: "unknown_market",
+        message: `market must be one of ${Object.keys(MARKETS).join(", ")}`,
+        asOf: new Date().toISOString()
+      }), {
+        status: 400,
+        headers: { "content-type": "application/json; charset=utf-8" }
+      });
+    }
+    const profile = marketProfile(findBuiltinProfile(url.searchParams.get("profile")) || DEFAULT_PROFILE, market);
+
+    const store = getStore(context?.env);
+    const data = await readCachedMarket(store, {
+      fomcBias: callerBias ?? context?.env?.FOMC_BIAS,
+      fairValue: fairValueConfigFromEnv(context?.env)
+    });
+    if (market.id !== DEFAULT_MARKET_ID) data.localMarket = (await readLocalMarket(store, market)).block;
+
+    const inputs = inputsFromMarket(data, overrides);
+    const decision = computeDecision(inputs, profile);
+
+    const quality = { ...data.quality, ...localQuality(data.localMarket, market) };
+    for (const key of Object.keys(overrides)) {
+      if (OVERRIDE_QUALITY_FIELDS[key]) delete quality[OVERRIDE_QUALITY_FIELDS[key]];
+    }
+
+    const result = {
+      total: decision.total,
+      action: decision.action,
+      label: decision.label,
+      headline: decision.headline,
+      explain: decision.explain,
+      factors: decision.factors,
+      timing: decision.timing,
+      overlays: decision.overlays,
+      missing: decision.missing,
+      confidence: decisionConfidence(decision, quality),
+      explanation: explainDecision(inputs, profile),
+      profile: decision.profile,
+      inputs,
+      overrides: [...Object.keys(overrides), ...(callerBias ? ["fomcBias"] : [])],
+      geoRisk: {
+        level: inputs.geoRisk,
+        derived: data.geoRisk,
+        overridden: "geoRisk" in overrides,
+        reason: data.geoRiskReason
+      },
+      fedSignal: {
+        signal: data.fedSignal,
+        fomcBias: callerBias ?? knownBias(context?.env?.FOMC_BIAS),
+        overridden: !!callerBias,
+        reason: data.fedSignalReason
+      },
+      // SETFGOLD's MACD / Bollinger / DMA / ATR overlay; timing only, like `timing`.
+      technicalTiming: market.id === DEFAULT_MARKET_ID
+        ? { verdict: data.technicalTiming ?? "unknown", score: data.technicalTimingScore ?? null, reason: data.technicalTimingReason ?? null }
+        : null,
+      market: { id: market.id, name: market.name, currency: market.currency, fxPair: market.fx?.pair ?? null, gold: market.gold.name },
+      marketAsOf: data.asOf,
+      staleInputs: Object.keys(data.staleness || {}).filter(k => data.staleness[k].stale),
+      asOf: new Date().toISOString(),
+      errors: market.id === DEFAULT_MARKET_ID ? data.errors : [...data.errors, ...(data.localMarket.errors ?? [])]
+    };
+
+    return new Response(JSON.stringify(result), {
+      status: 200,
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        "cache-control": `public, max-age=${cacheSeconds}`
+      }
+    });
+  } catch (err) {
+    return new Response(JSON.stringify({
+      error: "decision_api_failed",
+      message: String(err?.message || err),
+      asOf: new Date().toISOString()
+    }), {
+      status: 500,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+}
+
+// Outside India the currency, valuation and timing inputs come from the local market block, so grade them by it.
+function localQuality(block, market) {
+  if (market.id === DEFAULT_MARKET_ID) return {};
+  return {
+    usdInr: block.quality.fx,
+    setfGoldValuation: block.quality.goldValuation,
+    setfGoldPrice: block.quality.goldPrice,
+    rsi14Setfgold: block.quality.rsi14
+  };
+}
+
+// "dovish" | "neutral" | "hawkish", or null for anything else.
+function knownBias(raw) {
+  const bias = normalizeFedSignal(raw);
+  return bias === "unknown" ? null : bias;
+}
+
+function parseOverrides(searchParams) {
+  const out = {};
+
+  for (const key of NUMERIC_OVERRIDES) {
+    if (!searchParams.has(key)) continue;
+    const n = parseFloat(searchParams.get(key));
+    if (Number.isFinite(n)) out[key] = n;
+  }
+
+  for (const [key, allowed] of Object.entries(CHOICE_OVERRIDES)) {
+    const v = searchParams.get(key);
+    if (v && allowed.includes(v)) out[key] = v;
+  }
+
+  return out;
+}
@@ -1,61 +1,52 @@
-export async function onRequestGet() {
+import { getStore } from "../_lib/store.js";
+import { readCachedMarket } from "../_lib/factor-cache.js";
 
-  try {
-
-    // Current simple logic:
-    // Use US real yield as proxy for Fed tone
-    const res = await fetch("https://fred.stlouisfed.org/graph/fredgraph.csv?id=DFII10");
-
-    if (!res.ok) throw new Error("FRED fetch failed");
-
-    const text = await res.text();
-    const lines = text.trim().split(/\r?\n/);
-
-    let latest = null;
-
-    for (let i = lines.length - 1; i >= 1; i--) {
-      const parts = lines[i].split(",");
-      const v = parseFloat(parts[1]);
-      if (Number.isFinite(v)) {
-        latest = v;
-        break;
-      }
-    }
-
-    if (!Number.isFinite(latest)) throw new Error("No real yield value");
+// The Fed tone slice of /api/market (same store, same lib/fed.js computation).
+export async function onRequestGet(context) {
+  const cacheSeconds = 60;
 
-    let fedSignal = "neutral";
-
-    if (latest < 1.3) fedSignal = "cuts_likely";
-    else if (latest > 2.0) fedSignal = "hawkish";
-    else fedSignal = "neutral";
+  try {
+    const store = getStore(context?.env);
+    const market = await readCachedMarket(store, { fomcBias: context?.env?.FOMC_BIAS });
 
     const result = {
-      fedSignal,
-      fedAsOf: new Date().toISOString(),
-      fedSource: "fred_real_yield_proxy",
-      fedConfidence: "medium"
+      fedSignal: market.fedSignal,
+      fedSignalScore: market.fedSignalScore,
+      fedSignalReason: market.fedSignalReason,
+      fedConfidence: market.fedSignalConfidence,
+      components: market.fedSignalComponents,
+      inputs: {
+        realYield: market.realYield,
+        realYieldAsOf: market.realYieldAsOf,
+        ust2y: market.ust2y,
+        ust10y: market.ust10y,
+        ust2s10s: market.ust2s10s,
+        ust2yChangeBp30d: market.ust2yChangeBp30d,
+        ust2s10sChangeBp30d: market.ust2s10sChangeBp30d,
+        nominalCurveAsOf: market.nominalCurveAsOf
+      },
+      fedSource: market.freshness.fedSignal,
+      fedAsOf: market.asOf,
+      contractVersion: market.contractVersion,
+      errors: market.errors
     };
 
     return new Response(JSON.stringify(result), {
+      status: 200,
       headers: {
-        "content-type": "application/json"
+        "content-type": "application/json; charset=utf-8",
+        "cache-control": `public, max-age=${cacheSeconds}`
       }
     });
-
   } catch (err) {
-
     return new Response(JSON.stringify({
+      error: "fed_api_failed",
       fedSignal: "unknown",
-      fedAsOf: new Date().toISOString(),
-      fedSource: "fetch_failed",
-      fedConfidence: "low"
+      message: String(err?.message || err),
+      asOf: new Date().toISOString()
     }), {
-      headers: {
-        "content-type": "application/json"
-      }
+      status: 500,
+      headers: { "content-type": "application/json; charset=utf-8" }
     });
-
   }
-
 }
@@ -0,0 +1,47 @@
+import { getStore } from "../_lib/store.js";
+import { parseHistoryQuery, readHistory } from "../_lib/history.js";
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const query = parseHistoryQuery(url.searchParams);
+
+  if (query.error) {
+    return new Response(JSON.stringify({
+      error: "bad_history_query",
+      message: query.error
+    }), {
+      status: 400,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+
+  try {
+    const store = getStore(context.env);
+    const series = await readHistory(store, query);
+
+    return new Response(JSON.stringify({
+      from: query.from,
+      to: query.to,
+      interval: query.interval,
+      fields: query.fields,
+      count: series.length,
+      store: store.kind,
+      series
+    }), {
+      status: 200,
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        "cache-control": "public, max-age=300"
+      }
+    });
+  } catch (err) {
+    return new Response(JSON.stringify({
+      error: "history_api_failed",
+      message: String(err?.message || err),
+      asOf: new Date().toISOString()
+    }), {
+      status: 500,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+}
@@ -0,0 +1,27 @@
+import { CONTRACT_VERSION, SUPPORTED_CONTRACT_VERSIONS, marketSchema, parseContractVersion } from "../../lib/contract.js";
+
+// JSON Schema of the /api/market contract: /api/schema (current) or /api/schema?v=11.
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const version = parseContractVersion(url.searchParams.get("v"));
+
+  if (version === null) {
+    return new Response(JSON.stringify({
+      error: "unsupported_contract_version",
+      message: `v must be one of ${SUPPORTED_CONTRACT_VERSIONS.join(", ")}`,
+      supported: SUPPORTED_CONTRACT_VERSIONS,
+      current: CONTRACT_VERSION
+    }), {
+      status: 400,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+
+  return new Response(JSON.stringify(marketSchema(version), null, 2), {
+    status: 200,
+    headers: {
+      "content-type": "application/schema+json; charset=utf-8",
+      "cache-control": "public, max-age=3600"
+    }
+  });
+}
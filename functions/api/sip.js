@@ -0,0 +1,89 @@
+import { buildReplayRows, buildSnapshotRows } from "../../lib/backtest.js";
+import { DEFAULT_SIP_PLAN, simulateSip, validateSipPlan } from "../../lib/sip.js";
+import { DEFAULT_PROFILE, findBuiltinProfile } from "../../lib/profiles.js";
+import { getStore } from "../_lib/store.js";
+import { HISTORY_FIELDS, readHistory } from "../_lib/history.js";
+import { loadFixturesFromAssets, fixturesMissingResponse } from "../_lib/fixtures.js";
+
+// /api/sip?source=history|fixtures&base=10000&day=5&buy=1.5&hold=1&wait=0.5&trim=0&from=&to=&geoRisk=&profile=
+// Replays a score-modulated SIP and a flat SIP of the base amount over the same days. source defaults to the
+// stored history; fixtures/backtest ships as a synthetic sample until scripts/record-backtest-fixtures.mjs is run.
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const q = url.searchParams;
+  const source = q.get("source") === "fixtures" ? "fixtures" : "history";
+  const from = q.get("from") || null;
+  const to = q.get("to") || null;
+  const geoRisk = ["low", "medium", "high"].includes(q.get("geoRisk")) ? q.get("geoRisk") : "medium";
+  const profile = findBuiltinProfile(q.get("profile")) || DEFAULT_PROFILE;
+
+  const plan = planFromQuery(q);
+  const check = validateSipPlan(plan);
+  if (!check.ok) {
+    return new Response(JSON.stringify({ error: "bad_sip_plan", errors: check.errors }), {
+      status: 400,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+
+  let rows;
+  if (source === "fixtures") {
+    try {
+      rows = buildReplayRows(await loadFixturesFromAssets(context), { from, to, geoRisk, profile });
+    } catch (err) {
+      return fixturesMissingResponse(err);
+    }
+  }
+
+  try {
+    if (source === "history") {
+      const snapshots = await readHistory(getStore(context?.env), {
+        from: from || "0000-01-01",
+        to: to || "9999-12-31",
+        fields: HISTORY_FIELDS
+      });
+      rows = buildSnapshotRows(snapshots, { geoRisk, profile });
+    }
+    if (rows.length < 2) throw new Error(`Not enough SETFGOLD history in range (${source})`);
+
+    const result = {
+      ...simulateSip(rows, plan),
+      plan,
+      assumptions: { geoRisk, profile: { id: profile.id, name: profile.name }, source },
+      asOf: new Date().toISOString()
+    };
+
+    return new Response(JSON.stringify(result), {
+      status: 200,
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        "cache-control": source === "fixtures" ? "public, max-age=3600" : "no-store"
+      }
+    });
+  } catch (err) {
+    return new Response(JSON.stringify({
+      error: "sip_simulation_failed",
+      message: String(err?.message || err),
+      asOf: new Date().toISOString()
+    }), {
+      status: 500,
+      headers: { "content-type": "application/json; charset=utf-8" }
+    });
+  }
+}
+
+function planFromQuery(q) {
+  const num = (key, fallback) => (q.has(key) ? parseFloat(q.get(key)) : fallback);
+  const m = DEFAULT_SIP_PLAN.multipliers;
+
+  return {
+    baseAmount: num("base", DEFAULT_SIP_PLAN.baseAmount),
+    dayOfMonth: num("day", DEFAULT_SIP_PLAN.dayOfMonth),
+    multipliers: {
+      BUY: num("buy", m.BUY),
+      HOLD: num("hold", m.HOLD),
+      WAIT: num("wait", m.WAIT),
+      TRIM: num("trim", m.TRIM)
+    }
+  };
+}
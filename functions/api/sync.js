@@ -0,0 +1,80 @@
+import { getStore } from "../_lib/store.js";
+import { SYNC_ID_PATTERN, validateEnvelope } from "../../lib/state.js";
+
+// Cross-device copy of the page's state document (lib/state.js). The page derives the id and the encryption
+// key from the user's passphrase; this endpoint only stores the encrypted envelope.
+//
+// GET    ?id=…                                  → { id, updatedAt, envelope } or 404
+// PUT    { id, updatedAt, envelope, baseUpdatedAt } → store it; 409 when another device wrote since baseUpdatedAt
+// DELETE ?id=…                                  → forget the copy
+
+const SYNC_PREFIX = "sync:";
+// Envelopes are base64 JSON; a few years of journal and holdings stay well under this.
+const MAX_ENVELOPE_BYTES = 1024 * 1024;
+// A copy nobody has written for this long expires.
+const SYNC_TTL_SECONDS = 400 * 86400;
+
+export async function onRequestGet(context) {
+  const id = new URL(context.request.url).searchParams.get("id") || "";
+  if (!SYNC_ID_PATTERN.test(id)) return json({ error: "bad_sync_request", message: "id must be 64 hex characters" }, 400);
+
+  try {
+    const record = await getStore(context.env).get(SYNC_PREFIX + id);
+    if (!record) return json({ error: "not_found", message: "Nothing synced under this passphrase yet" }, 404);
+    return json({ id, updatedAt: record.updatedAt, envelope: record.envelope });
+  } catch (err) {
+    return json({ error: "sync_api_failed", message: String(err?.message || err) }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  let body;
+  try {
+    body = await context.request.json();
+  } catch (e) {
+    return json({ error: "bad_sync_request", message: "Body must be JSON" }, 400);
+  }
+
+  if (!SYNC_ID_PATTERN.test(body?.id || "")) return json({ error: "bad_sync_request", message: "id must be 64 hex characters" }, 400);
+  if (Number.isNaN(Date.parse(body.updatedAt))) return json({ error: "bad_sync_request", message: "updatedAt must be an ISO date" }, 400);
+  const v = validateEnvelope(body.envelope);
+  if (!v.ok) return json({ error: "bad_sync_request", message: v.errors.join("; ") }, 400);
+  if (JSON.stringify(body.envelope).length > MAX_ENVELOPE_BYTES) {
+    return json({ error: "sync_too_large", message: `envelope must be under ${MAX_ENVELOPE_BYTES} bytes` }, 413);
+  }
+
+  try {
+    const store = getStore(context.env);
+    const key = SYNC_PREFIX + body.id;
+    const existing = await store.get(key);
+    // Compare-and-set: the page merges with what is stored and retries.
+    if (existing && existing.updatedAt !== (body.baseUpdatedAt ?? null)) {
+      return json({ error: "sync_conflict", message: "Another device synced first", updatedAt: existing.updatedAt }, 409);
+    }
+
+    const storedAt = new Date().toISOString();
+    await store.put(key, { updatedAt: body.updatedAt, envelope: body.envelope, storedAt }, { ttlSeconds: SYNC_TTL_SECONDS });
+    return json({ id: body.id, updatedAt: body.updatedAt, storedAt });
+  } catch (err) {
+    return json({ error: "sync_api_failed", message: String(err?.message || err) }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const id = new URL(context.request.url).searchParams.get("id") || "";
+  if (!SYNC_ID_PATTERN.test(id)) return json({ error: "bad_sync_request", message: "id must be 64 hex characters" }, 400);
+
+  try {
+    await getStore(context.env).delete(SYNC_PREFIX + id);
+    return json({ id, deleted: true });
+  } catch (err) {
+    return json({ error: "sync_api_failed", message: String(err?.message || err) }, 500);
+  }
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" }
+  });
+}
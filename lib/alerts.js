@@ -0,0 +1,131 @@
+import { computeDecision, inputsFromMarket } from "./scoring.js";
+import { DEFAULT_PROFILE } from "./profiles.js";
+
+/* -------------------- alert rules -------------------- */
+
+// Rules are edge-triggered: a rule fires when its condition turns true, then stays quiet until it has
+// been false again. The per-subscription state ({ action, active }) is what makes that possible.
+
+export const MAX_RULES = 20;
+
+export const ALERT_RULE_TYPES = {
+  action_change: "Radar action changes",
+  score_cross: "Core score crosses a level",
+  rsi_band: "RSI(14) crosses a level",
+  inav_premium: "SETFGOLD premium/discount vs iNAV beyond X%",
+  usdinr_move: "USD/INR 30-day move beyond X%"
+};
+
+const ACTIONS = ["BUY", "HOLD", "WAIT", "TRIM"];
+
+export function validateRules(rules) {
+  const errors = [];
+  if (!Array.isArray(rules)) return { ok: false, errors: ["rules must be an array"] };
+  if (rules.length > MAX_RULES) errors.push(`at most ${MAX_RULES} rules`);
+
+  const ids = new Set();
+  rules.forEach((r, i) => {
+    const at = `rules[${i}]`;
+    if (!r || typeof r !== "object") return errors.push(`${at} must be an object`);
+    if (typeof r.id !== "string" || !r.id) errors.push(`${at}.id is required`);
+    else if (ids.has(r.id)) errors.push(`${at}.id is duplicated`);
+    ids.add(r.id);
+
+    if (!ALERT_RULE_TYPES[r.type]) return errors.push(`${at}.type is unknown`);
+
+    if (r.type === "action_change") {
+      if (r.to != null && !ACTIONS.includes(r.to)) errors.push(`${at}.to must be one of ${ACTIONS.join("/")}`);
+    } else if (r.type === "score_cross" || r.type === "rsi_band") {
+      if (!Number.isFinite(r.level) || r.level < 0 || r.level > 100) errors.push(`${at}.level must be 0–100`);
+      if (r.direction !== "above" && r.direction !== "below") errors.push(`${at}.direction must be above or below`);
+    } else if (!Number.isFinite(r.thresholdPct) || r.thresholdPct <= 0) {
+      errors.push(`${at}.thresholdPct must be a positive number`);
+    }
+  });
+
+  return { ok: errors.length === 0, errors };
+}
+
+export function describeRule(r) {
+  if (r.type === "action_change") return r.to ? `Action changes to ${r.to}` : "Action changes";
+  if (r.type === "score_cross") return `Core score ${r.direction} ${r.level}`;
+  if (r.type === "rsi_band") return `RSI(14) ${r.direction} ${r.level}`;
+  if (r.type === "inav_premium") return `Px vs iNAV beyond ±${r.thresholdPct}%`;
+  if (r.type === "usdinr_move") return `USD/INR 30d move beyond ±${r.thresholdPct}%`;
+  return r.type;
+}
+
+// The subset of an /api/market payload that rules look at.
+// geoRisk: the subscriber's manual level, or null to use the derived one.
+export function alertSnapshot(market, profile = DEFAULT_PROFILE, geoRisk = null) {
+  const d = computeDecision(inputsFromMarket(market, geoRisk ? { geoRisk } : {}), profile);
+  return {
+    action: d.total === null ? null : d.action,
+    total: d.total,
+    rsi: d.timing.rsi,
+    premiumPct: d.overlays.premiumDiscountPct,
+    usdInrPct30d: Number.isFinite(market?.usdInrChangePct30d) ? market.usdInrChangePct30d : null,
+    asOf: market?.asOf ?? null
+  };
+}
+
+// Returns { fired: [{ ruleId, title, body }], state } — never mutates the incoming state.
+export function evaluateRules(rules, snap, prevState = {}) {
+  const prevActive = prevState.active || {};
+  const active = {};
+  const fired = [];
+
+  for (const rule of rules) {
+    const c = checkRule(rule, snap, prevState);
+    active[rule.id] = c.active;
+    if (c.active && (rule.type === "action_change" || !prevActive[rule.id])) {
+      fired.push({ ruleId: rule.id, title: "Gold Radar alert", body: c.message });
+    }
+  }
+
+  return {
+    fired,
+    state: {
+      action: snap.action ?? prevState.action ?? null,
+      active,
+      checkedAt: snap.asOf
+    }
+  };
+}
+
+function checkRule(rule, snap, prevState) {
+  const fmt = (v, d = 2) => `${v >= 0 ? "+" : ""}${v.toFixed(d)}%`;
+
+  if (rule.type === "action_change") {
+    const changed = !!(prevState.action && snap.action && prevState.action !== snap.action);
+    const active = changed && (!rule.to || rule.to === snap.action);
+    return { active, message: `Radar moved ${prevState.action} → ${snap.action} (score ${snap.total}/100)` };
+  }
+
+  if (rule.type === "score_cross") {
+    if (!Number.isFinite(snap.total)) return { active: false };
+    const active = rule.direction === "above" ? snap.total >= rule.level : snap.total < rule.level;
+    return { active, message: `Core score ${snap.total}/100 is ${rule.direction} ${rule.level} (${snap.action})` };
+  }
+
+  if (rule.type === "rsi_band") {
+    if (!Number.isFinite(snap.rsi)) return { active: false };
+    const active = rule.direction === "above" ? snap.rsi >= rule.level : snap.rsi < rule.level;
+    return { active, message: `SETFGOLD RSI(14) ${snap.rsi.toFixed(1)} is ${rule.direction} ${rule.level}` };
+  }
+
+  if (rule.type === "inav_premium") {
+    if (!Number.isFinite(snap.premiumPct)) return { active: false };
+    const active = Math.abs(snap.premiumPct) >= rule.thresholdPct;
+    const kind = snap.premiumPct > 0 ? "premium" : "discount";
+    return { active, message: `SETFGOLD at ${fmt(snap.premiumPct)} ${kind} to SBI iNAV` };
+  }
+
+  if (rule.type === "usdinr_move") {
+    if (!Number.isFinite(snap.usdInrPct30d)) return { active: false };
+    const active = Math.abs(snap.usdInrPct30d) >= rule.thresholdPct;
+    return { active, message: `USD/INR moved ${fmt(snap.usdInrPct30d)} over 30 days` };
+  }
+
+  return { active: false };
+}
@@ -0,0 +1,198 @@
+import { computeDecision, inputsFromMarket, usdInrTrendFromPct } from "./scoring.js";
+import { DEFAULT_PROFILE } from "./profiles.js";
+import { percentileRank } from "./indicators.js";
+import { carryForward, shiftIsoDate, parseYahooChartSeries, parseFredCsvSeries } from "./series.js";
+
+/* -------------------- historical replay of the core score -------------------- */
+
+// Horizons are in trading days of SETFGOLD (≈21 per month).
+export const HORIZONS = { "1m": 21, "3m": 63, "6m": 126 };
+
+// Raw upstream payloads recorded by scripts/record-backtest-fixtures.mjs (the committed files are a synthetic sample).
+export const FIXTURE_DIR = "/fixtures/backtest";
+export const FIXTURE_FILES = {
+  setfgold: { file: "setfgold.yahoo.json", format: "yahoo", url: "https://query1.finance.yahoo.com/v8/finance/chart/SETFGOLD.NS?range=10y&interval=1d" },
+  dxy: { file: "dxy.yahoo.json", format: "yahoo", url: "https://query1.finance.yahoo.com/v8/finance/chart/DX-Y.NYB?range=10y&interval=1d" },
+  usdInr: { file: "usdinr.yahoo.json", format: "yahoo", url: "https://query1.finance.yahoo.com/v8/finance/chart/INR=X?range=10y&interval=1d" },
+  realYield: { file: "dfii10.fred.csv", format: "fred", url: "https://fred.stlouisfed.org/graph/fredgraph.csv?id=DFII10" }
+};
+
+const ACTIONS = ["BUY", "HOLD", "WAIT", "TRIM"];
+const INVESTED_ACTIONS = ["BUY", "HOLD"];
+
+// series: { setfgold, dxy, usdInr, realYield } — ascending [{ date, value }] arrays.
+// SETFGOLD trading days form the calendar; other series carry their last value forward.
+export function buildReplayRows(series, { from = null, to = null, geoRisk = "medium", profile = DEFAULT_PROFILE } = {}) {
+  const allGold = series.setfgold || [];
+  const allCloses = allGold.map(p => p.value);
+
+  // Range percentile uses the trailing 252 closes up to each day, including days before `from`.
+  const gold = allGold
+    .map((p, i) => ({ ...p, pctile: i >= 59 ? percentileRank(allCloses.slice(0, i + 1), 252) : null }))
+    .filter(p => (!from || p.date >= from) && (!to || p.date <= to));
+  const dates = gold.map(p => p.date);
+
+  const dxy = carryForward(series.dxy || [], dates);
+  const usdInr = carryForward(series.usdInr || [], dates);
+  const usdInr30dAgo = carryForward(series.usdInr || [], dates.map(d => shiftIsoDate(d, -30)));
+  const realYield = carryForward(series.realYield || [], dates);
+
+  return gold.map(p => {
+    const inrNow = usdInr.get(p.date);
+    const inrThen = usdInr30dAgo.get(shiftIsoDate(p.date, -30));
+    const inrPct = (Number.isFinite(inrNow) && Number.isFinite(inrThen) && inrThen !== 0)
+      ? ((inrNow - inrThen) / inrThen) * 100
+      : null;
+
+    const decision = computeDecision({
+      inrTrend: inrPct === null ? null : usdInrTrendFromPct(inrPct),
+      realYield: realYield.get(p.date),
+      setfPrice: p.value,
+      goldPctile: p.pctile,
+      dxy: dxy.get(p.date),
+      geoRisk
+    }, profile);
+
+    return {
+      date: p.date,
+      close: p.value,
+      total: decision.total,
+      action: decision.total === null ? null : decision.action
+    };
+  });
+}
+
+// snapshots: /api/history points (same field names as /api/market). Days without a SETFGOLD price are skipped.
+export function buildSnapshotRows(snapshots, { geoRisk = "medium", profile = DEFAULT_PROFILE } = {}) {
+  return snapshots
+    .filter(s => Number.isFinite(s.setfGoldPrice))
+    .map(s => {
+      const decision = computeDecision(inputsFromMarket(s, { geoRisk }), profile);
+      return {
+        date: s.date,
+        close: s.setfGoldPrice,
+        total: decision.total,
+        action: decision.total === null ? null : decision.action
+      };
+    });
+}
+
+// readText(path) → Promise<string>; lets Pages (ASSETS binding) and Node (fs) share the loader.
+export async function loadFixtureSeries(readText) {
+  const entries = await Promise.all(Object.entries(FIXTURE_FILES).map(async ([key, spec]) => {
+    const text = await readText(`${FIXTURE_DIR}/${spec.file}`);
+    const series = spec.format === "yahoo" ? parseYahooChartSeries(JSON.parse(text)) : parseFredCsvSeries(text);
+    return [key, series];
+  }));
+
+  return Object.fromEntries(entries);
+}
+
+export function runBacktest(rows, { horizons = HORIZONS } = {}) {
+  const scored = rows.filter(r => r.action);
+
+  const bands = {};
+  for (const action of ACTIONS) {
+    const days = scored.filter(r => r.action === action).length;
+    bands[action] = {
+      days,
+      sharePct: scored.length ? round(days / scored.length * 100) : null,
+      horizons: {}
+    };
+  }
+
+  for (const [name, h] of Object.entries(horizons)) {
+    const samples = Object.fromEntries(ACTIONS.map(a => [a, []]));
+
+    for (let i = 0; i + h < rows.length; i++) {
+      const row = rows[i];
+      if (!row.action) continue;
+
+      const window = rows.slice(i + 1, i + h + 1).map(r => r.close);
+      const fwdReturn = (window[window.length - 1] - row.close) / row.close * 100;
+      const worst = Math.min(...window);
+      const maxDrawdown = Math.min(0, (worst - row.close) / row.close * 100);
+
+      samples[row.action].push({ fwdReturn, maxDrawdown });
+    }
+
+    for (const action of ACTIONS) {
+      bands[action].horizons[name] = summarize(samples[action], action);
+    }
+  }
+
+  return {
+    period: {
+      from: rows[0]?.date ?? null,
+      to: rows[rows.length - 1]?.date ?? null,
+      tradingDays: rows.length,
+      scoredDays: scored.length
+    },
+    bands,
+    strategy: equityStats(rows, r => INVESTED_ACTIONS.includes(r.action)),
+    benchmark: equityStats(rows, () => true),
+    notes: [
+      "Signals are sampled every trading day, so forward windows overlap.",
+      "Hit rate: BUY/HOLD count a positive forward return, WAIT/TRIM count a flat or negative one.",
+      "Strategy holds SETFGOLD on BUY/HOLD days (signal from the prior close) and cash otherwise."
+    ]
+  };
+}
+
+/* -------------------- stats helpers -------------------- */
+
+function summarize(samples, action) {
+  if (!samples.length) {
+    return { n: 0, avgReturnPct: null, medianReturnPct: null, hitRatePct: null, avgMaxDrawdownPct: null, worstDrawdownPct: null };
+  }
+
+  const returns = samples.map(s => s.fwdReturn);
+  const drawdowns = samples.map(s => s.maxDrawdown);
+  const bullish = INVESTED_ACTIONS.includes(action);
+  const hits = returns.filter(r => bullish ? r > 0 : r <= 0).length;
+
+  return {
+    n: samples.length,
+    avgReturnPct: round(mean(returns)),
+    medianReturnPct: round(median(returns)),
+    hitRatePct: round(hits / samples.length * 100),
+    avgMaxDrawdownPct: round(mean(drawdowns)),
+    worstDrawdownPct: round(Math.min(...drawdowns))
+  };
+}
+
+function equityStats(rows, isInvested) {
+  let equity = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let investedDays = 0;
+
+  for (let i = 1; i < rows.length; i++) {
+    if (isInvested(rows[i - 1])) {
+      equity *= rows[i].close / rows[i - 1].close;
+      investedDays++;
+    }
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.min(maxDrawdown, (equity - peak) / peak);
+  }
+
+  return {
+    totalReturnPct: round((equity - 1) * 100),
+    maxDrawdownPct: round(maxDrawdown * 100),
+    exposurePct: rows.length > 1 ? round(investedDays / (rows.length - 1) * 100) : null
+  };
+}
+
+function mean(arr) {
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+function median(arr) {
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,142 @@
+/* -------------------- factor and score charts -------------------- */
+
+// Builds the page charts from an /api/charts payload and renders them as inline SVG strings (no chart library,
+// so the PWA stays small). DOM-free: the page inserts the markup and wires the hover cursor itself.
+
+import { buildReplayRows } from "./backtest.js";
+import { bandsForProfile } from "./scoring.js";
+import { DEFAULT_PROFILE } from "./profiles.js";
+import { rsiSeries } from "./indicators.js";
+import { shiftIsoDate } from "./series.js";
+
+export const CHART_RANGES = { "1M": 31, "3M": 92, "1Y": 366 };
+
+const BAND_FILLS = {
+  BUY: "rgba(34,197,94,.16)",
+  HOLD: "rgba(59,130,246,.14)",
+  WAIT: "rgba(245,158,11,.14)",
+  TRIM: "rgba(239,68,68,.16)"
+};
+
+// payload: /api/charts body. geoRisk and profile feed the score replay (lib/backtest.js), as on the live score.
+// Returns [{ key, title, digits, points: [{ date, value, action? }], yMin?, yMax?, bands?, refLines? }].
+export function buildCharts(payload, { range = "3M", profile = DEFAULT_PROFILE, geoRisk = "medium" } = {}) {
+  const s = payload?.series || {};
+  const gold = s.setfgold || [];
+  const lastDates = ["setfgold", "dxy", "usdInr", "realYield"].map(k => s[k]?.[s[k].length - 1]?.date).filter(Boolean).sort();
+  const end = lastDates[lastDates.length - 1] || new Date().toISOString().slice(0, 10);
+  const from = shiftIsoDate(end, -(CHART_RANGES[range] ?? CHART_RANGES["3M"]));
+  const inRange = (points) => (points || []).filter(p => p.date >= from && Number.isFinite(p.value));
+
+  // RSI is computed over the full history so the first charted values are already settled.
+  const rsi = rsiSeries(gold.map(p => p.value));
+  const rsiPoints = gold.map((p, i) => ({ date: p.date, value: rsi[i] ?? null }));
+
+  const score = buildReplayRows({ setfgold: gold, dxy: s.dxy, usdInr: s.usdInr, realYield: s.realYield }, { from, geoRisk, profile })
+    .filter(r => r.total !== null)
+    .map(r => ({ date: r.date, value: r.total, action: r.action }));
+
+  const cut = profile.thresholds.bands;
+  const rsiCut = profile.thresholds.rsi;
+  const scoreBands = bandsForProfile(profile).map(b => ({
+    from: b.key === "trim" ? 0 : b.min,
+    to: b.key === "buy" ? 100 : b.key === "hold" ? cut.buy : b.key === "wait" ? cut.hold : cut.wait,
+    fill: BAND_FILLS[b.action],
+    label: b.action
+  }));
+
+  return [
+    { key: "score", title: `Core score (${profile.name})`, digits: 0, points: score, yMin: 0, yMax: 100, bands: scoreBands },
+    { key: "dxy", title: "DXY", digits: 2, points: inRange(s.dxy) },
+    { key: "usdInr", title: "USD/INR", digits: 2, points: inRange(s.usdInr) },
+    { key: "realYield", title: "US 10Y real yield (%)", digits: 2, points: inRange(s.realYield) },
+    { key: "setfgold", title: "SETFGOLD (₹)", digits: 2, points: inRange(gold) },
+    {
+      key: "rsi14",
+      title: "SETFGOLD RSI (14)",
+      digits: 1,
+      points: inRange(rsiPoints),
+      yMin: 0,
+      yMax: 100,
+      // Shaded like rsiTiming: good entry below the first threshold, overbought above the last.
+      bands: [{ from: rsiCut[2], to: 100, fill: BAND_FILLS.TRIM }, { from: 0, to: rsiCut[0], fill: BAND_FILLS.BUY }],
+      refLines: [rsiCut[0], rsiCut[2]]
+    },
+    { key: "inavPremium", title: "SETFGOLD vs iNAV (%)", digits: 2, points: inRange(s.inavPremium), refLines: [0] }
+  ];
+}
+
+/* -------------------- SVG -------------------- */
+
+export const CHART_SIZE = { width: 320, height: 120, left: 40, right: 8, top: 8, bottom: 18 };
+
+const plotWidth = () => CHART_SIZE.width - CHART_SIZE.left - CHART_SIZE.right;
+const plotHeight = () => CHART_SIZE.height - CHART_SIZE.top - CHART_SIZE.bottom;
+
+// Points are evenly spaced (trading days), so x only depends on the index.
+export function chartX(i, n) {
+  return CHART_SIZE.left + (n > 1 ? (i / (n - 1)) * plotWidth() : plotWidth() / 2);
+}
+
+// fraction: pointer x over the rendered width (0–1) → index of the nearest point.
+export function pointIndexAt(fraction, n) {
+  const x = fraction * CHART_SIZE.width;
+  const i = Math.round(((x - CHART_SIZE.left) / plotWidth()) * (n - 1));
+  return Math.min(n - 1, Math.max(0, i));
+}
+
+export function chartSvg(chart) {
+  const { width, height, left, top } = CHART_SIZE;
+  const points = chart.points;
+  if (points.length < 2) {
+    return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${esc(chart.title)}: no data"><text x="${width / 2}" y="${height / 2}" text-anchor="middle" class="chart-empty">No history yet</text></svg>`;
+  }
+
+  const values = points.map(p => p.value);
+  let lo = chart.yMin ?? Math.min(...values, ...(chart.refLines ?? []));
+  let hi = chart.yMax ?? Math.max(...values, ...(chart.refLines ?? []));
+  if (chart.yMin === undefined || chart.yMax === undefined) {
+    const pad = (hi - lo) * 0.06 || Math.abs(hi) * 0.01 || 1;
+    if (chart.yMin === undefined) lo -= pad;
+    if (chart.yMax === undefined) hi += pad;
+  }
+  const y = (v) => top + (1 - (Math.min(hi, Math.max(lo, v)) - lo) / (hi - lo)) * plotHeight();
+  const n = points.length;
+
+  const bands = (chart.bands ?? []).map(b =>
+    `<rect x="${left}" y="${fix(y(b.to))}" width="${plotWidth()}" height="${fix(Math.max(0, y(b.from) - y(b.to)))}" fill="${b.fill}"/>`
+  ).join("");
+  const refs = (chart.refLines ?? []).filter(v => v >= lo && v <= hi).map(v =>
+    `<line x1="${left}" x2="${width - CHART_SIZE.right}" y1="${fix(y(v))}" y2="${fix(y(v))}" class="chart-ref"/>`
+  ).join("");
+  const path = points.map((p, i) => `${i ? "L" : "M"}${fix(chartX(i, n))} ${fix(y(p.value))}`).join(" ");
+  const last = points[n - 1];
+
+  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${esc(chart.title)}, ${esc(points[0].date)} to ${esc(last.date)}">` +
+    bands + refs +
+    `<text x="${left - 4}" y="${top + 8}" text-anchor="end" class="chart-axis">${fmt(hi, chart.digits)}</text>` +
+    `<text x="${left - 4}" y="${top + plotHeight()}" text-anchor="end" class="chart-axis">${fmt(lo, chart.digits)}</text>` +
+    `<text x="${left}" y="${height - 4}" class="chart-axis">${esc(points[0].date)}</text>` +
+    `<text x="${width - CHART_SIZE.right}" y="${height - 4}" text-anchor="end" class="chart-axis">${esc(last.date)}</text>` +
+    `<path d="${path}" class="chart-line"/>` +
+    `<circle cx="${fix(chartX(n - 1, n))}" cy="${fix(y(last.value))}" r="2.5" class="chart-dot"/>` +
+    `<line x1="0" x2="0" y1="${top}" y2="${top + plotHeight()}" class="chart-cursor" visibility="hidden"/>` +
+    `</svg>`;
+}
+
+// Caption for a point, e.g. "2026-10-16: 72 (HOLD)".
+export function pointLabel(chart, point) {
+  return `${point.date}: ${fmt(point.value, chart.digits)}${point.action ? ` (${point.action})` : ""}`;
+}
+
+function fmt(v, digits = 2) {
+  return Number.isFinite(v) ? v.toFixed(digits) : "—";
+}
+
+function fix(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[c]));
+}
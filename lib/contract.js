@@ -0,0 +1,447 @@
+/* -------------------- /api/market contract -------------------- */
+
+// JSON Schema (draft 2020-12 subset) for every /api/market contract version still served, the downgrades
+// that turn the current payload into an older version (?v=), and the small validator both sides use.
+// Shared by the page (lib/market-client.js) and the Pages Functions; keep this file free of DOM APIs.
+//
+// Versions: 6 the original flat payload • 7 SETFGOLD range valuation • 8 factor store staleness • 9 Fed tone from
+// the curve • 10 instrument blocks • 11 fair value vs global gold • 12 structured error records • 13 confidence grades
+// • 14 derived geo-risk • 15 local market block (?market=) • 16 technical timing overlay.
+
+import { FED_CONFIG, computeFedTone } from "./fed.js";
+
+export const CONTRACT_VERSION = 16;
+export const SUPPORTED_CONTRACT_VERSIONS = [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16];
+
+const num = { type: ["number", "null"] };
+const str = { type: ["string", "null"] };
+const bool = { type: "boolean" };
+const anyObject = { type: ["object", "null"] };
+
+const PRICE_FACTORS = ["dxy", "usdInr", "realYield", "nominalCurve", "setfGoldPrice", "setfGoldValuation", "rsi14Setfgold", "sbiGoldEtfInav"];
+const FAIR_VALUE_FACTORS = ["goldSpot"];
+const GEO_FACTORS = ["geoProxies"];
+const TECHNICAL_FACTORS = ["technicalsSetfgold"];
+const QUALITY_FIELDS = ["dxy", "usdInr", "realYield", "nominalCurve", "fedSignal", "setfGoldPrice", "setfGoldValuation", "rsi14Setfgold", "sbiGoldEtfInav"];
+// Factors (and their quality fields) added after v6.
+const FACTOR_SINCE = { setfGoldValuation: 7, nominalCurve: 9 };
+const servedIn = (v) => (k) => v >= (FACTOR_SINCE[k] ?? 6);
+
+/* -------------------- schemas -------------------- */
+
+const errorRecord = {
+  type: "object",
+  required: ["factor", "code", "message", "attempts"],
+  properties: {
+    factor: { type: "string" },
+    code: { type: "string" },
+    message: { type: "string" },
+    attempts: { type: "array", items: { type: "object", required: ["provider", "code"] } },
+    at: str
+  }
+};
+
+// v10 and v11 reported a bare code such as "dxy_fetch_failed".
+const errorFor = (v) => (v >= 12 ? errorRecord : { type: "string" });
+
+const stalenessFor = (v) => ({
+  type: ["object", "null"],
+  required: ["fetchedAt", "ageMinutes", "stale"],
+  properties: {
+    fetchedAt: str,
+    ageMinutes: num,
+    stale: bool,
+    lastAttemptAt: str,
+    lastError: v >= 12 ? { anyOf: [{ type: "null" }, errorRecord] } : { type: ["string", "null"] }
+  }
+});
+
+const qualityFor = (v) => (v >= 13 ? { enum: ["high", "medium", "low", "missing"] } : { enum: ["ok", "missing"] });
+
+function instrumentSchema(v) {
+  const properties = {
+    id: { type: "string" },
+    name: { type: "string" },
+    kind: { type: "string" },
+    symbol: str,
+    price: num,
+    priceAsOf: str,
+    rsi14: num,
+    nav: num,
+    navKind: str,
+    navAsOf: str,
+    premiumDiscountPct: num,
+    gramsPerUnit: num,
+    impliedPerGram: num,
+    sources: { type: "object" },
+    errors: { type: "array", items: errorFor(v) }
+  };
+  if (v >= 11) properties.fairValuePremiumPct = num;
+  if (v >= 13) {
+    properties.quality = {
+      type: "object",
+      required: ["price", "rsi14", "nav"],
+      properties: { price: qualityFor(v), rsi14: qualityFor(v), nav: qualityFor(v) }
+    };
+  }
+  return { type: "object", required: ["id", "price", "rsi14", "nav"], properties };
+}
+
+// v15: the investor's market (lib/markets.js). India's block mirrors the flat USD/INR and SETFGOLD fields.
+function localMarketSchema(v) {
+  return {
+    type: "object",
+    required: ["id", "currency", "fx", "fxTrend", "goldPrice", "goldPctile1y", "rsi14", "quality"],
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      currency: { type: "string" },
+      fxPair: str,
+      fxScored: bool,
+      fx: num,
+      fxChangePct30d: num,
+      fxTrend: { enum: ["weakening", "stable", "strengthening", null] },
+      fxAsOf: str,
+      goldId: { type: "string" },
+      goldName: { type: "string" },
+      goldSymbol: str,
+      goldPrice: num,
+      goldPriceAsOf: str,
+      goldPctile1y: { type: ["number", "null"], minimum: 0, maximum: 100 },
+      goldVs50dPct: num,
+      goldVs200dPct: num,
+      goldDrawdown52wPct: num,
+      goldValuationAsOf: str,
+      rsi14: { type: ["number", "null"], minimum: 0, maximum: 100 },
+      rsi14AsOf: str,
+      quality: {
+        type: "object",
+        required: ["fx", "goldPrice", "goldValuation", "rsi14"],
+        properties: { fx: qualityFor(v), goldPrice: qualityFor(v), goldValuation: qualityFor(v), rsi14: qualityFor(v) }
+      },
+      sources: { type: "object" },
+      errors: { type: "array", items: errorFor(v) }
+    }
+  };
+}
+
+export function marketSchema(version = CONTRACT_VERSION) {
+  const v = version;
+  if (!SUPPORTED_CONTRACT_VERSIONS.includes(v)) return null;
+
+  const factors = [
+    ...PRICE_FACTORS.filter(servedIn(v)), ...(v >= 11 ? FAIR_VALUE_FACTORS : []), ...(v >= 14 ? GEO_FACTORS : []), ...(v >= 16 ? TECHNICAL_FACTORS : [])
+  ];
+  const qualityFields = [
+    ...QUALITY_FIELDS.filter(servedIn(v)), ...(v >= 11 ? ["goldSpot", "fairValue"] : []), ...(v >= 14 ? ["geoRisk"] : []), ...(v >= 16 ? ["technicalTiming"] : [])
+  ];
+  const derived = [...(v >= 11 ? ["fairValue"] : []), ...(v >= 14 ? ["geoRisk"] : []), ...(v >= 16 ? ["technicalTiming"] : [])];
+
+  const properties = {
+    contractVersion: { const: v },
+    asOf: { type: "string" },
+    dxy: num,
+    usdInr: num,
+    usdInrChangePct30d: num,
+    usdInrTrend: { enum: ["weakening", "stable", "strengthening"] },
+    realYield: num,
+    realYieldAsOf: str,
+    fedSignal: { enum: ["dovish", "neutral", "hawkish", "unknown"] },
+    fedSignalScore: num,
+    fedSignalReason: str,
+    setfGoldPrice: num,
+    setfGoldPriceAsOf: str,
+    rsi14Setfgold: { type: ["number", "null"], minimum: 0, maximum: 100 },
+    rsi14SetfgoldAsOf: str,
+    sbiGoldEtfInav: num,
+    sbiGoldEtfInavAsOf: str,
+    quality: {
+      type: "object",
+      required: qualityFields,
+      properties: Object.fromEntries(qualityFields.map(k => [k, qualityFor(v)]))
+    },
+    freshness: {
+      type: "object",
+      properties: Object.fromEntries([...factors, "fedSignal", ...derived].map(k => [k, anyObject]))
+    },
+    errors: { type: "array", items: errorFor(v) }
+  };
+
+  if (v >= 7) {
+    Object.assign(properties, {
+      setfGoldPctile1y: { type: ["number", "null"], minimum: 0, maximum: 100 },
+      setfGoldVs50dPct: num,
+      setfGoldVs200dPct: num,
+      setfGoldDrawdown52wPct: num,
+      setfGoldValuationAsOf: str
+    });
+  }
+  if (v >= 8) {
+    Object.assign(properties, {
+      staleness: {
+        type: "object",
+        properties: Object.fromEntries(factors.map(k => [k, stalenessFor(v)]))
+      },
+      servedFrom: { enum: ["store", "store+live"] }
+    });
+  }
+  if (v >= 9) {
+    Object.assign(properties, {
+      ust2y: num,
+      ust10y: num,
+      ust2s10s: num,
+      ust2yChangeBp30d: num,
+      ust2s10sChangeBp30d: num,
+      nominalCurveAsOf: str,
+      fedSignalConfidence: str,
+      fedSignalComponents: { type: "array" }
+    });
+  }
+  if (v >= 10) {
+    Object.assign(properties, {
+      instrument: instrumentSchema(v),
+      instruments: { type: "array", items: instrumentSchema(v) }
+    });
+  }
+  if (v >= 11) {
+    Object.assign(properties, {
+      goldSpotUsd: num,
+      goldSpotAsOf: str,
+      fairValueInrPerGram: num,
+      fairValueRetailInrPerGram: num,
+      setfGoldFairValuePremiumPct: num
+    });
+  }
+  if (v >= 13) properties.validation = { type: "object" };
+  if (v >= 14) {
+    Object.assign(properties, {
+      geoRisk: { enum: ["low", "medium", "high", "unknown"] },
+      geoRiskScore: num,
+      geoRiskReason: str,
+      geoRiskConfidence: str,
+      geoRiskComponents: { type: "array" },
+      geoRiskAsOf: str
+    });
+  }
+  if (v >= 15) properties.localMarket = localMarketSchema(v);
+  if (v >= 16) {
+    Object.assign(properties, {
+      technicalTiming: { enum: ["good", "neutral", "wait", "unknown"] },
+      technicalTimingScore: num,
+      technicalTimingReason: str,
+      technicalTimingComponents: { type: "array", items: { type: "object", required: ["input", "value", "label", "vote"] } },
+      technicalTimingAsOf: str
+    });
+  }
+
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: `/api/schema?v=${v}`,
+    title: `/api/market contract v${v}`,
+    type: "object",
+    required: ["contractVersion", "asOf", "quality", "freshness", "errors"],
+    properties
+  };
+}
+
+/* -------------------- validation -------------------- */
+
+// Covers the keywords used above: type, enum, const, required, properties, items, minimum, maximum, anyOf.
+// Returns { ok, errors: ["path: problem"] }; unknown properties are allowed so a newer payload still validates.
+export function validateAgainstSchema(schema, value, path = "$") {
+  const errors = [];
+  check(schema, value, path, errors);
+  return { ok: errors.length === 0, errors };
+}
+
+function check(schema, value, path, errors) {
+  if (!schema) return;
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some(s => validateAgainstSchema(s, value, path).ok)) errors.push(`${path}: matches none of the allowed shapes`);
+    return;
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: expected one of ${schema.enum.join(", ")}`);
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.includes(typeOf(value))) {
+      errors.push(`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties ?? {})) {
+      if (key in value) check(sub, value[key], `${path}.${key}`, errors);
+    }
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isFinite(value) ? "number" : "non-finite number";
+  return typeof value;
+}
+
+/* -------------------- older versions (?v=) -------------------- */
+
+// ?v= value → supported version, the current one when omitted, or null.
+export function parseContractVersion(raw) {
+  if (raw === null || raw === undefined || raw === "") return CONTRACT_VERSION;
+  const v = Number(raw);
+  return SUPPORTED_CONTRACT_VERSIONS.includes(v) ? v : null;
+}
+
+// Codes the fetchers reported before structured errors (v11 and earlier).
+const LEGACY_ERROR_CODES = {
+  dxy: "dxy_fetch_failed",
+  usdInr: "usdinr_fetch_failed",
+  goldSpot: "gold_spot_fetch_failed",
+  realYield: "real_yield_fetch_failed",
+  nominalCurve: "nominal_curve_fetch_failed",
+  setfGoldPrice: "setfgold_fetch_failed",
+  setfGoldValuation: "valuation_fetch_failed",
+  rsi14Setfgold: "rsi_fetch_failed",
+  sbiGoldEtfInav: "inav_fetch_failed",
+  price: "price_fetch_failed",
+  rsi14: "rsi_fetch_failed",
+  nav: "nav_fetch_failed"
+};
+
+function legacyErrorCode(err) {
+  if (!err || typeof err === "string") return err ?? null;
+  const name = String(err.factor ?? "").split(":").pop();
+  return LEGACY_ERROR_CODES[name] ?? err.code;
+}
+
+const mapInstruments = (p, fn) => ({
+  ...p,
+  ...(p.instrument ? { instrument: fn(p.instrument) } : {}),
+  ...(Array.isArray(p.instruments) ? { instruments: p.instruments.map(fn) } : {})
+});
+
+const without = (o, keys) => Object.fromEntries(Object.entries(o ?? {}).filter(([k]) => !keys.includes(k)));
+
+// Each step turns version n into n - 1.
+const DOWNGRADES = {
+  16: (p) => {
+    const { technicalTiming, technicalTimingScore, technicalTimingReason, technicalTimingComponents, technicalTimingAsOf, ...rest } = p;
+    return {
+      ...rest,
+      quality: without(p.quality, ["technicalTiming"]),
+      freshness: without(p.freshness, [...TECHNICAL_FACTORS, "technicalTiming"]),
+      staleness: without(p.staleness, TECHNICAL_FACTORS),
+      validation: without(p.validation, TECHNICAL_FACTORS),
+      errors: (p.errors ?? []).filter(e => !TECHNICAL_FACTORS.includes(e?.factor))
+    };
+  },
+  15: (p) => {
+    const { localMarket, ...rest } = p;
+    return rest;
+  },
+  14: (p) => {
+    const { geoRisk, geoRiskScore, geoRiskReason, geoRiskConfidence, geoRiskComponents, geoRiskAsOf, ...rest } = p;
+    return {
+      ...rest,
+      quality: without(p.quality, ["geoRisk"]),
+      freshness: without(p.freshness, ["geoProxies", "geoRisk"]),
+      staleness: without(p.staleness, GEO_FACTORS),
+      validation: without(p.validation, GEO_FACTORS),
+      errors: (p.errors ?? []).filter(e => !GEO_FACTORS.includes(e?.factor))
+    };
+  },
+  13: (p) => {
+    const { validation, ...rest } = p;
+    const ok = (q) => (q === "missing" ? "missing" : "ok");
+    const out = { ...rest, quality: Object.fromEntries(Object.entries(p.quality ?? {}).map(([k, q]) => [k, ok(q)])) };
+    return mapInstruments(out, ({ quality, ...inst }) => inst);
+  },
+  12: (p) => {
+    const out = {
+      ...p,
+      errors: (p.errors ?? []).map(legacyErrorCode),
+      staleness: Object.fromEntries(Object.entries(p.staleness ?? {}).map(([k, s]) => [k, s && { ...s, lastError: legacyErrorCode(s.lastError) }]))
+    };
+    return mapInstruments(out, (inst) => ({ ...inst, errors: (inst.errors ?? []).map(legacyErrorCode) }));
+  },
+  11: (p) => {
+    const {
+      goldSpotUsd, goldSpotAsOf, fairValueInrPerGram, fairValueRetailInrPerGram, setfGoldFairValuePremiumPct, ...rest
+    } = p;
+    const out = {
+      ...rest,
+      quality: without(p.quality, ["goldSpot", "fairValue"]),
+      freshness: without(p.freshness, ["goldSpot", "fairValue"]),
+      staleness: without(p.staleness, ["goldSpot"]),
+      errors: (p.errors ?? []).filter(e => e !== LEGACY_ERROR_CODES.goldSpot)
+    };
+    return mapInstruments(out, ({ fairValuePremiumPct, ...inst }) => inst);
+  },
+  10: (p) => {
+    const { instrument, instruments, ...rest } = p;
+    return rest;
+  },
+  // v8 and earlier derived the Fed signal from the real yield alone.
+  9: (p) => {
+    const {
+      ust2y, ust10y, ust2s10s, ust2yChangeBp30d, ust2s10sChangeBp30d, nominalCurveAsOf, fedSignalConfidence, fedSignalComponents, ...rest
+    } = p;
+    const fed = computeFedTone({ realYield: p.realYield });
+    const { dovishMax, neutralMax } = FED_CONFIG.realYield;
+    return {
+      ...rest,
+      fedSignal: fed.signal,
+      fedSignalScore: fed.score,
+      fedSignalReason: fed.reason,
+      quality: { ...without(p.quality, ["nominalCurve"]), fedSignal: fed.signal === "unknown" ? "missing" : "ok" },
+      freshness: {
+        ...without(p.freshness, ["nominalCurve"]),
+        fedSignal: { provider: "derived", basis: "realYield", thresholds: { dovish_max: dovishMax, neutral_max: neutralMax } }
+      },
+      staleness: without(p.staleness, ["nominalCurve"]),
+      errors: (p.errors ?? []).filter(e => e !== LEGACY_ERROR_CODES.nominalCurve)
+    };
+  },
+  8: (p) => {
+    const { staleness, servedFrom, ...rest } = p;
+    return rest;
+  },
+  7: (p) => {
+    const { setfGoldPctile1y, setfGoldVs50dPct, setfGoldVs200dPct, setfGoldDrawdown52wPct, setfGoldValuationAsOf, ...rest } = p;
+    return {
+      ...rest,
+      quality: without(p.quality, ["setfGoldValuation"]),
+      freshness: without(p.freshness, ["setfGoldValuation"]),
+      errors: (p.errors ?? []).filter(e => e !== LEGACY_ERROR_CODES.setfGoldValuation)
+    };
+  }
+};
+
+// payload: a current-version /api/market result. Returns it unchanged for the current version.
+export function downgradeMarket(payload, version = CONTRACT_VERSION) {
+  let out = payload;
+  for (let v = payload.contractVersion; v > version; v--) {
+    out = { ...DOWNGRADES[v](out), contractVersion: v - 1 };
+  }
+  return out;
+}
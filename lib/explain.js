@@ -0,0 +1,152 @@
+/* -------------------- score explanation and what-if -------------------- */
+
+// Why the core score is what it is: each factor's contribution, the thresholds its input sits between, and
+// what single input change would move the score to another band. Every what-if is a full computeDecision()
+// re-run with one input changed, so the numbers always match the live score.
+// Shared by index.html and /api/decision; keep this file free of DOM APIs.
+
+import { FACTOR_LABELS, bandsForProfile, computeDecision } from "./scoring.js";
+import { DEFAULT_PROFILE } from "./profiles.js";
+
+// Numeric factors: ascending thresholds, lower input = more points. step: smallest move past a threshold.
+const NUMERIC_FACTORS = {
+  realYield: { input: "realYield", name: "real yield", step: 0.01, digits: 2, unit: "%" },
+  domesticGold: { input: "goldPctile", name: "SETFGOLD 1Y percentile", step: 0.1, digits: 1, unit: "" },
+  dxy: { input: "dxy", name: "DXY", step: 0.01, digits: 2, unit: "" }
+};
+
+// Categorical factors: levels best first.
+const CHOICE_FACTORS = {
+  usdInr: { input: "inrTrend", name: "USD/INR trend", levels: ["weakening", "stable", "strengthening"] },
+  geo: { input: "geoRisk", name: "geo risk", levels: ["high", "medium", "low"] }
+};
+
+// Returns { total, action, bands: { up, down }, factors: [...], whatIf: [...] }; all null / empty while inputs are missing.
+// factors[i]: { key, label, input, score, max, sharePct, between, moves }; whatIf: every move, band changes first.
+export function explainDecision(inputs = {}, profile = DEFAULT_PROFILE) {
+  const decision = computeDecision(inputs, profile);
+  const base = decision.total;
+
+  // Zero-weight factors (see lib/markets.js) have nothing to explain.
+  const factors = Object.entries(decision.factors).filter(([, f]) => f.max !== 0).map(([key, f]) => {
+    const moves = base === null || f.score === null ? [] : movesFor(key, inputs, profile, decision);
+    return {
+      key,
+      label: FACTOR_LABELS[key],
+      input: f.input,
+      score: f.score,
+      max: f.max,
+      sharePct: base ? round(f.score / base * 100, 1) : null,
+      between: NUMERIC_FACTORS[key] && f.score !== null ? tierBounds(profile.thresholds[key], f.input) : null,
+      moves
+    };
+  });
+
+  const whatIf = factors
+    .flatMap(f => f.moves)
+    .sort((a, b) => Number(b.flips) - Number(a.flips) || Math.abs(b.delta) - Math.abs(a.delta));
+
+  return {
+    total: base,
+    action: base === null ? null : decision.action,
+    bands: base === null ? { up: null, down: null } : bandGaps(base, profile),
+    factors,
+    whatIf
+  };
+}
+
+// "real yield falling to 1.60% or below would add 6 points and move you to BUY".
+function describeMove(move) {
+  const verb = move.delta >= 0 ? `add ${move.delta}` : `remove ${-move.delta}`;
+  const unit = Math.abs(move.delta) === 1 ? "point" : "points";
+  const outcome = move.flips ? `and move you to ${move.action}` : `(→ ${move.total}, still ${move.action})`;
+  return `${move.condition} would ${verb} ${unit} ${outcome}`;
+}
+
+/* -------------------- moves -------------------- */
+
+function movesFor(key, inputs, profile, decision) {
+  if (NUMERIC_FACTORS[key]) return numericMoves(key, inputs, profile, decision);
+  if (CHOICE_FACTORS[key]) return choiceMoves(key, inputs, profile, decision);
+  return [];
+}
+
+// One move to the next better tier and one to the next worse tier, where they exist.
+function numericMoves(key, inputs, profile, decision) {
+  const meta = NUMERIC_FACTORS[key];
+  const value = inputs[meta.input];
+  const t = profile.thresholds[key];
+  const tier = t.findIndex(x => value <= x);
+  const i = tier === -1 ? t.length : tier;
+  const fmt = (v) => `${v.toFixed(meta.digits)}${meta.unit}`;
+  const out = [];
+
+  if (i > 0) {
+    const to = t[i - 1];
+    out.push(whatIf(key, inputs, profile, decision, to, {
+      direction: "down",
+      condition: `${meta.name} falling to ${fmt(to)} or below`,
+      distance: round(value - to, meta.digits)
+    }));
+  }
+  if (i < t.length) {
+    const to = round(t[i] + meta.step, meta.digits);
+    out.push(whatIf(key, inputs, profile, decision, to, {
+      direction: "up",
+      condition: `${meta.name} rising above ${fmt(t[i])}`,
+      distance: round(to - value, meta.digits)
+    }));
+  }
+  return out;
+}
+
+function choiceMoves(key, inputs, profile, decision) {
+  const meta = CHOICE_FACTORS[key];
+  const current = inputs[meta.input];
+  return meta.levels
+    .filter(level => level !== current)
+    .map(level => whatIf(key, inputs, profile, decision, level, {
+      direction: meta.levels.indexOf(level) < meta.levels.indexOf(current) ? "better" : "worse",
+      condition: `${meta.name} turning ${level}`,
+      distance: null
+    }));
+}
+
+function whatIf(key, inputs, profile, decision, to, info) {
+  const input = (NUMERIC_FACTORS[key] ?? CHOICE_FACTORS[key]).input;
+  const next = computeDecision({ ...inputs, [input]: to }, profile);
+  const move = {
+    factor: key,
+    input,
+    to,
+    ...info,
+    delta: next.total - decision.total,
+    total: next.total,
+    action: next.action,
+    flips: next.action !== decision.action
+  };
+  return { ...move, text: describeMove(move) };
+}
+
+/* -------------------- bands -------------------- */
+
+// Lower bound is exclusive, upper inclusive (a value equal to a threshold scores in the better tier).
+function tierBounds(thresholds, value) {
+  const i = thresholds.findIndex(x => value <= x);
+  if (i === -1) return { above: thresholds[thresholds.length - 1], atMost: null };
+  return { above: i > 0 ? thresholds[i - 1] : null, atMost: thresholds[i] };
+}
+
+// up: points needed for the next better band; down: points of headroom before dropping a band.
+function bandGaps(total, profile) {
+  const bands = bandsForProfile(profile);
+  const i = bands.findIndex(b => total >= b.min);
+  const up = i > 0 ? { action: bands[i - 1].action, min: bands[i - 1].min, points: bands[i - 1].min - total } : null;
+  const down = Number.isFinite(bands[i].min) ? { action: bands[i + 1].action, points: total - bands[i].min + 1 } : null;
+  return { up, down };
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
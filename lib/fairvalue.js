@@ -0,0 +1,66 @@
+/* -------------------- implied domestic fair value -------------------- */
+
+// Landed INR price of gold from international spot: USD/oz × USD/INR ÷ grams per troy ounce, plus import duty.
+// Shared by the page and the Functions; keep this file free of DOM APIs.
+//
+// ETF NAVs and MCX quotes carry the import duty but not GST, so premiums are measured against the duty-paid
+// value. GST only applies to physical purchases and is reported separately as the retail (with GST) price.
+// Not modelled: purity (995 vs 999), bank/refiner premiums and the spot-vs-futures basis of GC=F.
+
+import { premiumDiscountPct } from "./scoring.js";
+
+export const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+// Basic customs duty + AIDC on gold since the July 2024 budget, and GST on gold.
+export const DEFAULT_FAIR_VALUE_CONFIG = { importDutyPct: 6, gstPct: 3 };
+
+// MCX quotes gold in ₹ per 10 g.
+export const MCX_GRAMS_PER_QUOTE = 10;
+
+// raw: { importDutyPct, gstPct } from env or the page; anything missing or out of range falls back to the default.
+export function fairValueConfig(raw = {}) {
+  const pick = (v, fallback) => {
+    const n = typeof v === "string" ? parseFloat(v) : v;
+    return Number.isFinite(n) && n >= 0 && n <= 50 ? n : fallback;
+  };
+  return {
+    importDutyPct: pick(raw.importDutyPct, DEFAULT_FAIR_VALUE_CONFIG.importDutyPct),
+    gstPct: pick(raw.gstPct, DEFAULT_FAIR_VALUE_CONFIG.gstPct)
+  };
+}
+
+// Pages and the cron Worker read the same variables: IMPORT_DUTY_PCT, GST_PCT.
+export function fairValueConfigFromEnv(env) {
+  return fairValueConfig({ importDutyPct: env?.IMPORT_DUTY_PCT, gstPct: env?.GST_PCT });
+}
+
+// Returns null values when spot or USD/INR is missing.
+export function computeFairValue({ spotUsdPerOz, usdInr }, config = DEFAULT_FAIR_VALUE_CONFIG) {
+  if (!Number.isFinite(spotUsdPerOz) || !Number.isFinite(usdInr)) {
+    return { spotInrPerGram: null, perGram: null, retailPerGram: null, config };
+  }
+
+  const spotInrPerGram = spotUsdPerOz * usdInr / GRAMS_PER_TROY_OUNCE;
+  const perGram = spotInrPerGram * (1 + config.importDutyPct / 100);
+
+  return {
+    spotInrPerGram: round2(spotInrPerGram),
+    perGram: round2(perGram),
+    retailPerGram: round2(perGram * (1 + config.gstPct / 100)),
+    config
+  };
+}
+
+// perGram: the instrument's implied ₹/g. Positive = Indian gold trading rich versus global gold.
+export function premiumOverFairValue(perGram, fairValue) {
+  const pct = premiumDiscountPct(perGram, fairValue?.perGram);
+  return pct === null ? null : round2(pct);
+}
+
+export function mcxPerGram(mcxPrice) {
+  return Number.isFinite(mcxPrice) ? mcxPrice / MCX_GRAMS_PER_QUOTE : null;
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
@@ -0,0 +1,132 @@
+/* -------------------- Fed tone -------------------- */
+
+// Single source for the Fed signal served by /api/fed and /api/market (and read by index.html).
+// Keep this file free of DOM and Worker-only APIs.
+// Each available input votes +1 (dovish), 0 or -1 (hawkish); the weighted mean decides the signal.
+
+import { shiftIsoDate } from "./series.js";
+
+export const FED_SIGNALS = ["dovish", "neutral", "hawkish", "unknown"];
+
+export const FED_CONFIG = {
+  realYield: { weight: 2, dovishMax: 1.2, neutralMax: 1.8 },
+  twoYearTrend: { weight: 1, thresholdBp: 15, windowDays: 30 },
+  slope2s10s: { weight: 1, thresholdBp: 15, windowDays: 30 },
+  fomcBias: { weight: 2 },
+  signal: { dovishMin: 0.34, hawkishMax: -0.34 }
+};
+
+// inputs: { realYield, twoYearChangeBp, slopeChangeBp, fomcBias } — any of them may be missing.
+export function computeFedTone(inputs = {}, config = FED_CONFIG) {
+  const components = [];
+
+  if (Number.isFinite(inputs.realYield)) {
+    const c = config.realYield;
+    const v = inputs.realYield;
+    const vote = v <= c.dovishMax ? 1 : (v <= c.neutralMax ? 0 : -1);
+    components.push({
+      input: "realYield",
+      value: v,
+      vote,
+      weight: c.weight,
+      reason: vote > 0
+        ? `Real yield ${v.toFixed(2)}% ≤ ${c.dovishMax} – easier financial conditions`
+        : vote < 0
+          ? `Real yield ${v.toFixed(2)}% > ${c.neutralMax} – tight financial conditions`
+          : `Real yield ${v.toFixed(2)}% mid-range`
+    });
+  }
+
+  if (Number.isFinite(inputs.twoYearChangeBp)) {
+    const c = config.twoYearTrend;
+    const v = inputs.twoYearChangeBp;
+    const vote = v <= -c.thresholdBp ? 1 : (v >= c.thresholdBp ? -1 : 0);
+    components.push({
+      input: "twoYearTrend",
+      value: v,
+      vote,
+      weight: c.weight,
+      reason: `2Y yield ${bp(v)} over ${c.windowDays}d${vote > 0 ? " – market pricing cuts" : vote < 0 ? " – cuts being priced out" : ""}`
+    });
+  }
+
+  if (Number.isFinite(inputs.slopeChangeBp)) {
+    const c = config.slope2s10s;
+    const v = inputs.slopeChangeBp;
+    const vote = v >= c.thresholdBp ? 1 : (v <= -c.thresholdBp ? -1 : 0);
+    components.push({
+      input: "slope2s10s",
+      value: v,
+      vote,
+      weight: c.weight,
+      reason: `2s10s ${bp(v)} over ${c.windowDays}d${vote > 0 ? " – steepening" : vote < 0 ? " – flattening" : ""}`
+    });
+  }
+
+  const bias = normalizeFedSignal(inputs.fomcBias);
+  if (bias !== "unknown") {
+    const vote = bias === "dovish" ? 1 : (bias === "hawkish" ? -1 : 0);
+    components.push({
+      input: "fomcBias",
+      value: bias,
+      vote,
+      weight: config.fomcBias.weight,
+      reason: `FOMC bias set manually: ${bias}`
+    });
+  }
+
+  if (!components.length) {
+    return { signal: "unknown", score: 0, reason: "No Fed inputs available", confidence: "low", components };
+  }
+
+  const totalWeight = components.reduce((s, c) => s + c.weight, 0);
+  const score = Math.round(components.reduce((s, c) => s + c.vote * c.weight, 0) / totalWeight * 100) / 100;
+  const signal = score >= config.signal.dovishMin ? "dovish" : (score <= config.signal.hawkishMax ? "hawkish" : "neutral");
+  const confidence = components.length >= 3 ? "high" : (components.length === 2 ? "medium" : "low");
+
+  return {
+    signal,
+    score,
+    reason: components.map(c => c.reason).join("; "),
+    confidence,
+    components
+  };
+}
+
+// rows: [{ date, twoYear, tenYear }] sorted by date (Treasury nominal curve or FRED DGS2/DGS10).
+// Changes are measured against the last row on or before (latest date − windowDays).
+export function summarizeNominalCurve(rows, windowDays = FED_CONFIG.twoYearTrend.windowDays) {
+  const valid = rows.filter(r => Number.isFinite(r.twoYear) && Number.isFinite(r.tenYear));
+  if (!valid.length) return null;
+
+  const last = valid[valid.length - 1];
+  const cutoff = shiftIsoDate(last.date, -windowDays);
+  const base = [...valid].reverse().find(r => r.date <= cutoff) || null;
+  const slope = last.tenYear - last.twoYear;
+
+  return {
+    twoYear: last.twoYear,
+    tenYear: last.tenYear,
+    slope: round2(slope),
+    twoYearChangeBp: base ? Math.round((last.twoYear - base.twoYear) * 100) : null,
+    slopeChangeBp: base ? Math.round((slope - (base.tenYear - base.twoYear)) * 100) : null,
+    baseDate: base?.date ?? null,
+    asOf: last.date
+  };
+}
+
+// Accepts the old page/fed.js value "cuts_likely" as dovish.
+export function normalizeFedSignal(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (s === "dovish" || s === "cuts_likely") return "dovish";
+  if (s === "hawkish" || s === "neutral") return s;
+  return "unknown";
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function bp(v) {
+  return `${v >= 0 ? "+" : ""}${Math.round(v)}bp`;
+}
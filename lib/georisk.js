@@ -0,0 +1,79 @@
+/* -------------------- geo-risk -------------------- */
+
+// Single source for the geo-risk level served by /api/market (and read by index.html, which can override it).
+// Keep this file free of DOM and Worker-only APIs.
+// Geopolitical stress is not observable directly, so market proxies stand in for it: each available proxy
+// votes 0 (calm), 1 (elevated) or 2 (stressed); the weighted mean decides the level.
+
+export const GEO_RISK_LEVELS = ["low", "medium", "high"];
+
+export const GEO_CONFIG = {
+  // CBOE VIX level.
+  vix: { weight: 2, elevatedMin: 18, stressedMin: 25 },
+  // Annualised 20-day realised volatility of COMEX gold and WTI crude, in %.
+  goldVolatility: { weight: 1, elevatedMin: 16, stressedMin: 24, windowDays: 20 },
+  oilVolatility: { weight: 1, elevatedMin: 35, stressedMin: 50, windowDays: 20 },
+  // Gold and the dollar usually move against each other; both rising over the window is a safe-haven bid.
+  // Measured as the smaller of the two % rises (0 unless both rose), so a gold rally on a weak dollar stays calm.
+  goldDxyDivergence: { weight: 1, elevatedMin: 1, stressedMin: 2.5, windowDays: 20 },
+  level: { mediumMin: 0.67, highMin: 1.34 }
+};
+
+const VOTE_LEVELS = ["calm", "elevated", "stressed"];
+
+// inputs: { vix, goldVolatility, oilVolatility, goldChangePct, dxyChangePct } — any of them may be missing.
+export function computeGeoRisk(inputs = {}, config = GEO_CONFIG) {
+  const components = [];
+  const add = (input, value, c, text) => {
+    const vote = value >= c.stressedMin ? 2 : (value >= c.elevatedMin ? 1 : 0);
+    components.push({ input, value, vote, weight: c.weight, reason: `${text} – ${VOTE_LEVELS[vote]}` });
+  };
+
+  if (Number.isFinite(inputs.vix)) {
+    add("vix", inputs.vix, config.vix, `VIX ${inputs.vix.toFixed(1)}`);
+  }
+  if (Number.isFinite(inputs.goldVolatility)) {
+    add("goldVolatility", inputs.goldVolatility, config.goldVolatility,
+      `Gold ${config.goldVolatility.windowDays}d volatility ${inputs.goldVolatility.toFixed(1)}%`);
+  }
+  if (Number.isFinite(inputs.oilVolatility)) {
+    add("oilVolatility", inputs.oilVolatility, config.oilVolatility,
+      `Crude ${config.oilVolatility.windowDays}d volatility ${inputs.oilVolatility.toFixed(1)}%`);
+  }
+  if (Number.isFinite(inputs.goldChangePct) && Number.isFinite(inputs.dxyChangePct)) {
+    const c = config.goldDxyDivergence;
+    const v = inputs.goldChangePct > 0 && inputs.dxyChangePct > 0 ? round2(Math.min(inputs.goldChangePct, inputs.dxyChangePct)) : 0;
+    add("goldDxyDivergence", v, c, `Gold ${pct(inputs.goldChangePct)} with DXY ${pct(inputs.dxyChangePct)} over ${c.windowDays}d`);
+  }
+
+  if (!components.length) {
+    return { level: "unknown", score: null, reason: "No geo-risk proxies available", confidence: "low", components };
+  }
+
+  const totalWeight = components.reduce((s, c) => s + c.weight, 0);
+  const score = round2(components.reduce((s, c) => s + c.vote * c.weight, 0) / totalWeight);
+  const level = score >= config.level.highMin ? "high" : (score >= config.level.mediumMin ? "medium" : "low");
+  const confidence = components.length >= 3 ? "high" : (components.length === 2 ? "medium" : "low");
+
+  return {
+    level,
+    score,
+    reason: components.map(c => c.reason).join("; "),
+    confidence,
+    components
+  };
+}
+
+// Anything but low / medium / high (e.g. "unknown") means there is no usable level.
+export function normalizeGeoRisk(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return GEO_RISK_LEVELS.includes(s) ? s : null;
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function pct(v) {
+  return `${v >= 0 ? "+" : ""}${v.toFixed(1)}%`;
+}
@@ -0,0 +1,226 @@
+/* -------------------- price statistics -------------------- */
+
+// Pure functions over ascending close arrays (oldest first). Return null when there is not enough data.
+
+export function sma(values, period) {
+  if (!Array.isArray(values) || values.length < period || period < 1) return null;
+  let sum = 0;
+  for (let i = values.length - period; i < values.length; i++) sum += values[i];
+  return sum / period;
+}
+
+// Share of the trailing window at or below the latest close, 0–100.
+export function percentileRank(values, window = values?.length) {
+  if (!Array.isArray(values) || !values.length) return null;
+  const slice = values.slice(-window);
+  const last = slice[slice.length - 1];
+  const atOrBelow = slice.filter(v => v <= last).length;
+  return round1(atOrBelow / slice.length * 100);
+}
+
+export function pctFrom(value, base) {
+  if (!Number.isFinite(value) || !Number.isFinite(base) || base === 0) return null;
+  return round2((value - base) / base * 100);
+}
+
+export function drawdownFromHigh(values, window = values?.length) {
+  if (!Array.isArray(values) || !values.length) return null;
+  const slice = values.slice(-window);
+  return pctFrom(slice[slice.length - 1], Math.max(...slice));
+}
+
+// Relative valuation of a trading series: where the latest close sits versus its own recent history.
+export function relativeValuation(closes) {
+  const last = closes?.[closes.length - 1];
+  return {
+    percentile1y: percentileRank(closes, 252),
+    vs50dPct: pctFrom(last, sma(closes, 50)),
+    vs200dPct: pctFrom(last, sma(closes, 200)),
+    drawdown52wPct: drawdownFromHigh(closes, 252)
+  };
+}
+
+// Wilder's RSI of the whole series (seeded with a simple average of the first `period` changes).
+export function rsi(closes, period = 14) {
+  const series = rsiSeries(closes, period);
+  return series.length ? series[series.length - 1] : null;
+}
+
+// RSI after each close, aligned with `closes`; null until `period` changes are available.
+export function rsiSeries(closes, period = 14) {
+  if (!Array.isArray(closes) || closes.length < period + 1) return [];
+
+  const out = new Array(closes.length).fill(null);
+  let gains = 0;
+  let losses = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change >= 0) gains += change;
+    else losses += Math.abs(change);
+  }
+
+  let avgGain = gains / period;
+  let avgLoss = losses / period;
+  out[period] = rsiFrom(avgGain, avgLoss);
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    const gain = change > 0 ? change : 0;
+    const loss = change < 0 ? Math.abs(change) : 0;
+    avgGain = ((avgGain * (period - 1)) + gain) / period;
+    avgLoss = ((avgLoss * (period - 1)) + loss) / period;
+    out[i] = rsiFrom(avgGain, avgLoss);
+  }
+
+  return out;
+}
+
+// Change of the latest close over the close `days` sessions earlier, in %.
+export function pctChange(closes, days) {
+  if (!Array.isArray(closes) || closes.length <= days) return null;
+  return pctFrom(closes[closes.length - 1], closes[closes.length - 1 - days]);
+}
+
+// Annualised standard deviation of the last `window` daily log returns, in % (252 sessions a year).
+export function realizedVolatility(closes, window = 20) {
+  if (!Array.isArray(closes) || closes.length < window + 1) return null;
+  const slice = closes.slice(-(window + 1));
+  const returns = slice.slice(1).map((v, i) => Math.log(v / slice[i]));
+  if (!returns.every(Number.isFinite)) return null;
+
+  const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
+  const variance = returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1);
+  return round2(Math.sqrt(variance * 252) * 100);
+}
+
+/* -------------------- trend and volatility -------------------- */
+
+// Simple moving average after each value, aligned with `values`; null until `period` values are available.
+export function smaSeries(values, period) {
+  if (!Array.isArray(values) || values.length < period || period < 1) return [];
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Exponential moving average after each value, aligned with `values` (k = 2 / (period + 1)), seeded with the
+// simple average of the first `period` values; null before that.
+export function emaSeries(values, period) {
+  if (!Array.isArray(values) || values.length < period || period < 1) return [];
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  let prev = values.slice(0, period).reduce((s, v) => s + v, 0) / period;
+  out[period - 1] = prev;
+  for (let i = period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+// MACD line (fast EMA − slow EMA), its signal EMA and the histogram after the latest close, plus the histogram
+// one session earlier so callers can tell which way it is moving.
+export function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  if (!Array.isArray(closes) || closes.length < slow + signalPeriod) return null;
+  const fastEma = emaSeries(closes, fast);
+  const slowEma = emaSeries(closes, slow);
+  const line = closes.slice(slow - 1).map((_, i) => fastEma[i + slow - 1] - slowEma[i + slow - 1]);
+  const signal = emaSeries(line, signalPeriod);
+  const n = line.length - 1;
+  return {
+    macd: round4(line[n]),
+    signal: round4(signal[n]),
+    histogram: round4(line[n] - signal[n]),
+    prevHistogram: round4(line[n - 1] - signal[n - 1])
+  };
+}
+
+// Bollinger bands of the last `period` closes (population standard deviation, as Bollinger defines them) and
+// %B of the latest close: 0 on the lower band, 1 on the upper, outside 0–1 beyond them.
+export function bollinger(closes, period = 20, width = 2) {
+  if (!Array.isArray(closes) || closes.length < period) return null;
+  const slice = closes.slice(-period);
+  const middle = slice.reduce((s, v) => s + v, 0) / period;
+  const sd = Math.sqrt(slice.reduce((s, v) => s + (v - middle) ** 2, 0) / period);
+  const upper = middle + width * sd;
+  const lower = middle - width * sd;
+  const last = slice[period - 1];
+  return {
+    middle: round4(middle),
+    upper: round4(upper),
+    lower: round4(lower),
+    percentB: upper === lower ? 0.5 : round4((last - lower) / (upper - lower))
+  };
+}
+
+// The fast SMA against the slow one after the latest close, and the most recent cross within `lookback`
+// sessions: { fast, slow, above, crossed: "golden" | "death" | null, sessionsAgo }.
+export function smaCrossover(closes, fast, slow, lookback = 10) {
+  if (!Array.isArray(closes) || closes.length < slow + 1) return null;
+  const f = smaSeries(closes, fast);
+  const s = smaSeries(closes, slow);
+  const n = closes.length - 1;
+
+  let crossed = null;
+  let sessionsAgo = null;
+  for (let i = n; i > Math.max(slow - 1, n - lookback); i--) {
+    const above = f[i] > s[i];
+    if (above !== f[i - 1] > s[i - 1]) {
+      crossed = above ? "golden" : "death";
+      sessionsAgo = n - i;
+      break;
+    }
+  }
+  return { fast: round4(f[n]), slow: round4(s[n]), above: f[n] > s[n], crossed, sessionsAgo };
+}
+
+// Wilder's average true range after each bar, aligned with the inputs (seeded with the simple average of the
+// first `period` true ranges); null until then. highs / lows / closes: same length, oldest first.
+export function atrSeries(highs, lows, closes, period = 14) {
+  if (![highs, lows, closes].every(Array.isArray) || closes.length < period + 1 || highs.length !== closes.length || lows.length !== closes.length) return [];
+  const tr = closes.map((c, i) => i === 0 ? null : Math.max(highs[i] - lows[i], Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1])));
+  const out = new Array(closes.length).fill(null);
+  let prev = tr.slice(1, period + 1).reduce((s, v) => s + v, 0) / period;
+  out[period] = prev;
+  for (let i = period + 1; i < closes.length; i++) {
+    prev = (prev * (period - 1) + tr[i]) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+// Latest ATR, as a % of the close, and where that % sits among the last `window` sessions (percentile, 0–100).
+export function atrVolatility(highs, lows, closes, period = 14, window = 120) {
+  const series = atrSeries(highs, lows, closes, period);
+  if (!series.length) return null;
+  const pcts = series.map((a, i) => a === null ? null : a / closes[i] * 100).filter(v => v !== null);
+  const last = series[series.length - 1];
+  return {
+    atr: round4(last),
+    atrPct: round2(pcts[pcts.length - 1]),
+    percentile: percentileRank(pcts, window)
+  };
+}
+
+function rsiFrom(avgGain, avgLoss) {
+  if (avgLoss === 0) return 100;
+  return round1(100 - (100 / (1 + avgGain / avgLoss)));
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
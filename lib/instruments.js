@@ -0,0 +1,81 @@
+/* -------------------- instrument registry -------------------- */
+
+// Gold instruments the radar can price. Shared by index.html and the Functions; keep this file free of DOM APIs.
+//
+// symbol:       Yahoo symbol for the exchange price and RSI (null for funds that only publish a NAV).
+// nav:          where the fair value comes from. "sbimf" is SBI's intraday iNAV feed; "amfi" is the daily NAV
+//               from AMFI's NAVAll.txt, matched by scheme name (match / exclude are case-insensitive regexes).
+//               null when there is no NAV to compare against (SGB: the bond tracks IBJA gold, not a NAV).
+// gramsPerUnit: nominal gold per unit, used for the implied ₹/gram. ETF backing drifts down slowly with the expense
+//               ratio, so treat it as approximate; null for fund-of-funds.
+
+export const DEFAULT_INSTRUMENT_ID = "SETFGOLD";
+
+export const INSTRUMENTS = {
+  SETFGOLD: {
+    id: "SETFGOLD",
+    name: "SBI Gold ETF",
+    kind: "etf",
+    symbol: "SETFGOLD.NS",
+    nav: { provider: "sbimf", kind: "inav", fundName: "SBI Gold ETF" },
+    gramsPerUnit: 0.01
+  },
+  GOLDBEES: {
+    id: "GOLDBEES",
+    name: "Nippon India ETF Gold BeES",
+    kind: "etf",
+    symbol: "GOLDBEES.NS",
+    nav: { provider: "amfi", kind: "nav", match: "^nippon india etf gold bees" },
+    gramsPerUnit: 0.01
+  },
+  HDFCGOLD: {
+    id: "HDFCGOLD",
+    name: "HDFC Gold ETF",
+    kind: "etf",
+    symbol: "HDFCGOLD.NS",
+    nav: { provider: "amfi", kind: "nav", match: "^hdfc gold (etf|exchange traded fund)", exclude: "fund of fund" },
+    gramsPerUnit: 0.01
+  },
+  SGB: {
+    id: "SGB",
+    name: "Sovereign Gold Bond (SGBFEB32IV)",
+    kind: "sgb",
+    symbol: "SGBFEB32IV.NS",
+    nav: null,
+    gramsPerUnit: 1
+  },
+  SBIGOLDFOF: {
+    id: "SBIGOLDFOF",
+    name: "SBI Gold Fund (FoF, direct growth)",
+    kind: "fof",
+    symbol: null,
+    nav: { provider: "amfi", kind: "nav", match: "^sbi gold fund.*direct.*growth" },
+    gramsPerUnit: null
+  },
+  HDFCGOLDFOF: {
+    id: "HDFCGOLDFOF",
+    name: "HDFC Gold ETF FoF (direct growth)",
+    kind: "fof",
+    symbol: null,
+    nav: { provider: "amfi", kind: "nav", match: "^hdfc gold (etf )?fund of fund.*direct.*growth" },
+    gramsPerUnit: null
+  }
+};
+
+export const MAX_INSTRUMENTS_PER_REQUEST = 6;
+
+export function findInstrument(id) {
+  return INSTRUMENTS[String(id || "").trim().toUpperCase()] || null;
+}
+
+// "GOLDBEES,sgb" → { ids: ["GOLDBEES", "SGB"] } or { error }. Empty means the default instrument.
+export function parseInstrumentList(raw) {
+  const ids = [...new Set(String(raw || "").split(",").map(s => s.trim().toUpperCase()).filter(Boolean))];
+  if (!ids.length) return { ids: [DEFAULT_INSTRUMENT_ID] };
+
+  const unknown = ids.filter(id => !INSTRUMENTS[id]);
+  if (unknown.length) return { error: `unknown instrument(s): ${unknown.join(", ")}` };
+  if (ids.length > MAX_INSTRUMENTS_PER_REQUEST) return { error: `at most ${MAX_INSTRUMENTS_PER_REQUEST} instruments per request` };
+
+  return { ids };
+}
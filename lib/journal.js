@@ -0,0 +1,142 @@
+/* -------------------- decision journal -------------------- */
+
+// A journal entry records what the radar said (full inputs, score, action), what was actually done and why,
+// and later the realised SETFGOLD return 1/3/6 months on. Storage (IndexedDB) lives in index.html; keep this
+// file free of DOM APIs.
+
+import { newTransactionId } from "./portfolio.js";
+
+export const JOURNAL_ACTIONS = ["BUY", "HOLD", "WAIT", "TRIM"];
+
+// Calendar months after the entry date.
+export const JOURNAL_HORIZONS = { "1M": 1, "3M": 3, "6M": 6 };
+
+// Exposure implied by each action, used to judge overrides: taking more exposure than the radar helps when
+// gold then rises, taking less helps when it falls.
+const EXPOSURE = { BUY: 2, HOLD: 1, WAIT: 0, TRIM: -1 };
+
+// inputs: the page's readInputs() snapshot (plus instrument / as-of fields). decision: computeDecision() output.
+// price: SETFGOLD price at the time (null when unknown; the first close on/after `date` is used instead).
+export function newJournalEntry({ date, inputs, decision, confidence = null, taken, rationale = "", price = null }) {
+  return {
+    id: newTransactionId(),
+    date,
+    recordedAt: new Date().toISOString(),
+    inputs: { ...inputs },
+    score: decision.total,
+    radarAction: decision.total === null ? null : decision.action,
+    factors: Object.fromEntries(Object.entries(decision.factors).map(([k, f]) => [k, { input: f.input, score: f.score, max: f.max }])),
+    timing: decision.timing?.text ?? null,
+    confidence: confidence?.level ?? null,
+    profile: { ...decision.profile },
+    taken,
+    rationale: String(rationale).trim(),
+    price: Number.isFinite(price) ? price : null,
+    outcomes: {}
+  };
+}
+
+export function validateJournalEntry(entry) {
+  const errors = [];
+  if (!entry || typeof entry !== "object") return { ok: false, errors: ["entry must be an object"] };
+
+  if (!entry.id) errors.push("id is required");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || "") || Number.isNaN(Date.parse(entry.date))) errors.push("date must be YYYY-MM-DD");
+  if (!JOURNAL_ACTIONS.includes(entry.taken)) errors.push(`taken must be one of ${JOURNAL_ACTIONS.join("/")}`);
+  if (entry.radarAction !== null && !JOURNAL_ACTIONS.includes(entry.radarAction)) errors.push("radarAction must be an action or null");
+  if (entry.price !== null && !(Number.isFinite(entry.price) && entry.price > 0)) errors.push("price must be a positive number or null");
+  if (!entry.inputs || typeof entry.inputs !== "object") errors.push("inputs must be an object");
+
+  return { ok: errors.length === 0, errors };
+}
+
+// The radar had a score and the action taken differs from it.
+export function isOverride(entry) {
+  return entry.radarAction !== null && entry.taken !== entry.radarAction;
+}
+
+/* -------------------- outcomes -------------------- */
+
+// closes: ascending [{ date, value }] SETFGOLD closes (the /api/charts setfgold series).
+// Returns the entry with every horizon that has matured filled in; filled horizons are never recomputed.
+// A horizon matures once the series has a close on/after entry date + N months.
+export function fillOutcomes(entry, closes) {
+  const base = Number.isFinite(entry.price) ? { date: entry.date, value: entry.price } : closeOnOrAfter(closes, entry.date);
+  if (!base) return entry;
+
+  const outcomes = { ...entry.outcomes };
+  for (const [name, months] of Object.entries(JOURNAL_HORIZONS)) {
+    if (outcomes[name]) continue;
+    const hit = closeOnOrAfter(closes, addMonths(entry.date, months));
+    if (!hit) continue;
+    outcomes[name] = { date: hit.date, close: hit.value, returnPct: round((hit.value / base.value - 1) * 100, 2) };
+  }
+  return { ...entry, outcomes };
+}
+
+// Horizons still waiting for a close, given today's date.
+export function pendingHorizons(entry, today) {
+  return Object.entries(JOURNAL_HORIZONS)
+    .filter(([name, months]) => !entry.outcomes?.[name] && addMonths(entry.date, months) <= today)
+    .map(([name]) => name);
+}
+
+/* -------------------- review -------------------- */
+
+// Returns { entries, scored, overrides, overrideRatePct, byTaken, horizons: { 1M: { followed, overridden, helped, hurt } } }.
+// followed / overridden: { count, avgReturnPct } over entries with that horizon filled.
+// helped / hurt: overrides whose exposure change matched / went against the realised move.
+export function reviewJournal(entries) {
+  const scored = entries.filter(e => e.radarAction !== null);
+  const overrides = scored.filter(isOverride);
+
+  const horizons = {};
+  for (const name of Object.keys(JOURNAL_HORIZONS)) {
+    const done = scored.filter(e => Number.isFinite(e.outcomes?.[name]?.returnPct));
+    const ret = (e) => e.outcomes[name].returnPct;
+    const over = done.filter(isOverride);
+    const effect = (e) => Math.sign((EXPOSURE[e.taken] - EXPOSURE[e.radarAction]) * ret(e));
+
+    horizons[name] = {
+      followed: summarize(done.filter(e => !isOverride(e)).map(ret)),
+      overridden: summarize(over.map(ret)),
+      helped: over.filter(e => effect(e) > 0).length,
+      hurt: over.filter(e => effect(e) < 0).length
+    };
+  }
+
+  return {
+    entries: entries.length,
+    scored: scored.length,
+    overrides: overrides.length,
+    overrideRatePct: scored.length ? round(overrides.length / scored.length * 100, 1) : null,
+    byTaken: Object.fromEntries(JOURNAL_ACTIONS.map(a => [a, entries.filter(e => e.taken === a).length])),
+    horizons
+  };
+}
+
+function summarize(returns) {
+  return {
+    count: returns.length,
+    avgReturnPct: returns.length ? round(returns.reduce((s, r) => s + r, 0) / returns.length, 2) : null
+  };
+}
+
+function closeOnOrAfter(closes, date) {
+  return (closes || []).find(p => p.date >= date && Number.isFinite(p.value)) ?? null;
+}
+
+// Day clamped to the target month's length (Jan 31 + 1 month → Feb 28/29).
+function addMonths(isoDate, months) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  const total = (m - 1) + months;
+  const year = y + Math.floor(total / 12);
+  const month = (total % 12) + 1;
+  const day = Math.min(d, new Date(Date.UTC(year, month, 0)).getUTCDate());
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
@@ -0,0 +1,66 @@
+/* -------------------- /api/market client -------------------- */
+
+// The page's only way to read /api/market. It pins the contract version it was written against (?v=), checks
+// the response against that version's schema (lib/contract.js), and hands back a payload where every field
+// in the schema exists: anything missing or of the wrong type becomes null (or [] / {}) and is listed in
+// `problems`, so one bad field never breaks the rest of the page.
+
+import { CONTRACT_VERSION, SUPPORTED_CONTRACT_VERSIONS, marketSchema, validateAgainstSchema } from "./contract.js";
+
+// ids: instrument ids for ?instrument= (none = SETFGOLD only). market: lib/markets.js id for ?market= (none = India).
+// Throws on HTTP errors, like fetch + res.ok would.
+export async function fetchMarket(ids = [], { fetchImpl = (...args) => fetch(...args), version = CONTRACT_VERSION, market = null } = {}) {
+  const instruments = ids.length ? `&instrument=${ids.map(encodeURIComponent).join(",")}` : "";
+  const local = market ? `&market=${encodeURIComponent(market)}` : "";
+  const res = await fetchImpl(`/api/market?v=${version}${instruments}${local}`, { cache: "no-store" });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(body?.message || `HTTP ${res.status}`);
+  if (!body || typeof body !== "object") throw new Error("response is not a JSON object");
+
+  return readMarket(body);
+}
+
+// raw: any /api/market payload. Returns { data, problems, version }.
+export function readMarket(raw) {
+  const version = SUPPORTED_CONTRACT_VERSIONS.includes(raw?.contractVersion) ? raw.contractVersion : CONTRACT_VERSION;
+  const problems = [...(Array.isArray(raw?.contractErrors) ? raw.contractErrors : [])];
+  const data = coerce(marketSchema(version), raw, "$", problems);
+  return { data, problems, version };
+}
+
+// Objects are repaired key by key (one bad quality entry does not drop the others), arrays keep their valid
+// items (one malformed instrument block does not hide the rest), anything else is kept or replaced whole.
+function coerce(schema, value, path, problems) {
+  if (schema.properties && value && typeof value === "object" && !Array.isArray(value)) {
+    const out = { ...value };
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (out[key] === undefined) {
+        out[key] = fallbackFor(sub);
+        if (schema.required?.includes(key)) problems.push(`${path}.${key}: required`);
+      } else {
+        out[key] = coerce(sub, out[key], `${path}.${key}`, problems);
+      }
+    }
+    return out;
+  }
+
+  if (schema.type === "array" && schema.items && Array.isArray(value)) {
+    return value.filter((item, i) => {
+      const check = validateAgainstSchema(schema.items, item, `${path}[${i}]`);
+      problems.push(...check.errors);
+      return check.ok;
+    });
+  }
+
+  const check = validateAgainstSchema(schema, value, path);
+  if (check.ok) return value;
+  problems.push(...check.errors);
+  return fallbackFor(schema);
+}
+
+function fallbackFor(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes("array")) return [];
+  if (types.includes("object") && !types.includes("null")) return {};
+  return null;
+}
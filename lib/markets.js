@@ -0,0 +1,76 @@
+/* -------------------- market registry -------------------- */
+
+// Where the investor buys gold: the local currency, its pair against the dollar, and the local gold price whose
+// 1-year range drives the domestic valuation factor. Shared by index.html and the Functions; keep this file free
+// of DOM APIs. India is the original model and is served from the core factors (SETFGOLD, USD/INR).
+//
+// fx:       the local currency against USD (Yahoo symbol, Stooq fallback). null when the local currency is USD.
+//           scored: false for a currency pegged to USD, whose 30-day trend carries no signal.
+// gold:     the local gold price. perOunceUsd: the symbol quotes USD/oz and is converted to local currency per gram
+//           with fx (its 1Y percentile and RSI are unaffected by a fixed peg).
+// storageKey: where the page kept the market's inputs before the state document (lib/state.js); read once to migrate.
+
+export const DEFAULT_MARKET_ID = "IN";
+
+export const MARKETS = {
+  IN: {
+    id: "IN",
+    name: "India",
+    currency: "INR",
+    currencySign: "₹",
+    fx: { pair: "USD/INR", yahoo: "INR=X", stooq: "usdinr", scored: true },
+    gold: { id: "SETFGOLD", name: "SBI Gold ETF", yahoo: "SETFGOLD.NS", perOunceUsd: false },
+    storageKey: "goldDecisionRadar:v4india"
+  },
+  US: {
+    id: "US",
+    name: "United States",
+    currency: "USD",
+    currencySign: "$",
+    fx: null,
+    gold: { id: "GLD", name: "SPDR Gold Shares (GLD)", yahoo: "GLD", perOunceUsd: false },
+    storageKey: "goldDecisionRadar:v4us"
+  },
+  AE: {
+    id: "AE",
+    name: "UAE",
+    currency: "AED",
+    currencySign: "AED ",
+    fx: { pair: "USD/AED", yahoo: "AED=X", stooq: "usdaed", scored: false },
+    gold: { id: "XAUAED", name: "Gold spot (AED/g)", yahoo: "GC=F", perOunceUsd: true },
+    storageKey: "goldDecisionRadar:v4uae"
+  }
+};
+
+export function findMarket(id) {
+  return MARKETS[String(id || "").trim().toUpperCase()] || null;
+}
+
+// The scoring profile for a market: where the currency trend is not scored, its weight is spread over the other
+// factors in proportion to their weights (largest remainder, so the weights still sum to 100).
+export function marketProfile(profile, market) {
+  if (!market || market.fx?.scored) return profile;
+
+  const { usdInr, ...rest } = profile.weights;
+  const base = Object.values(rest).reduce((s, w) => s + w, 0);
+  if (!usdInr || !base) return { ...profile, weights: { ...profile.weights, usdInr: 0 } };
+
+  const total = base + usdInr;
+  const exact = Object.entries(rest).map(([k, w]) => [k, w * total / base]);
+  const weights = Object.fromEntries(exact.map(([k, v]) => [k, Math.floor(v)]));
+  let left = total - Object.values(weights).reduce((s, w) => s + w, 0);
+  for (const [k] of [...exact].sort((a, b) => (b[1] % 1) - (a[1] % 1))) {
+    if (left-- <= 0) break;
+    weights[k] += 1;
+  }
+
+  return { ...profile, weights: { usdInr: 0, ...weights } };
+}
+
+// "INR weakening" / "Stable" / "INR strengthening" (a weaker local currency supports local gold prices).
+export function fxTrendLabel(trend, market = MARKETS[DEFAULT_MARKET_ID]) {
+  if (trend === "weakening") return `${market.currency} weakening`;
+  if (trend === "strengthening") return `${market.currency} strengthening`;
+  return "Stable";
+}
+
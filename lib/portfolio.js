@@ -0,0 +1,186 @@
+/* -------------------- holdings / position -------------------- */
+
+// Shared logic for the Holdings panel. Storage (IndexedDB) lives in index.html; keep this file free of DOM APIs.
+// Cost basis uses the average-cost method: a sale realises (proceeds − brokerage) − units × average cost
+// and leaves the average cost of the remaining units unchanged.
+
+import { splitCsvLine } from "./series.js";
+
+export const HOLDING_INSTRUMENTS = {
+  SETFGOLD: { name: "SBI Gold ETF (SETFGOLD)", priceField: "setfGoldPrice", navField: "sbiGoldEtfInav" }
+};
+
+export const DEFAULT_INSTRUMENT = "SETFGOLD";
+
+export const CSV_COLUMNS = ["date", "type", "instrument", "units", "price", "brokerage", "note"];
+
+// Share of the target allocation added per BUY signal, and share of units trimmed per TRIM signal.
+export const GUIDANCE = { buyTrancheShare: 0.25, trimShare: 0.25, overweightPct: 10 };
+
+// Time-ordered, so sorting by id keeps entry order within a day.
+export function newTransactionId() {
+  return `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function validateTransaction(tx) {
+  const errors = [];
+  if (!tx || typeof tx !== "object") return { ok: false, errors: ["transaction must be an object"] };
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(tx.date || "") || Number.isNaN(Date.parse(tx.date))) errors.push("date must be YYYY-MM-DD");
+  if (tx.type !== "buy" && tx.type !== "sell") errors.push("type must be buy or sell");
+  if (!HOLDING_INSTRUMENTS[tx.instrument]) errors.push(`instrument must be one of ${Object.keys(HOLDING_INSTRUMENTS).join("/")}`);
+  if (!Number.isFinite(tx.units) || tx.units <= 0) errors.push("units must be a positive number");
+  if (!Number.isFinite(tx.price) || tx.price <= 0) errors.push("price must be a positive number");
+  if (!Number.isFinite(tx.brokerage) || tx.brokerage < 0) errors.push("brokerage must be 0 or more");
+
+  return { ok: errors.length === 0, errors };
+}
+
+export function sortTransactions(transactions) {
+  return [...transactions].sort((a, b) => a.date.localeCompare(b.date) || String(a.id).localeCompare(String(b.id)));
+}
+
+// prices: { price, nav } for the instrument. Any missing price leaves the matching values null.
+export function computePosition(transactions, { price = null, nav = null } = {}, instrument = DEFAULT_INSTRUMENT) {
+  let units = 0;
+  let costBasis = 0;
+  let realisedPnl = 0;
+  let brokerage = 0;
+  const errors = [];
+
+  for (const tx of sortTransactions(transactions.filter(t => t.instrument === instrument))) {
+    brokerage += tx.brokerage;
+
+    if (tx.type === "buy") {
+      units += tx.units;
+      costBasis += tx.units * tx.price + tx.brokerage;
+      continue;
+    }
+
+    if (tx.units > units + 1e-9) {
+      errors.push(`${tx.date}: sells ${tx.units} units but only ${round(units, 4)} held`);
+      continue;
+    }
+    const avg = units ? costBasis / units : 0;
+    realisedPnl += tx.units * tx.price - tx.brokerage - tx.units * avg;
+    costBasis -= tx.units * avg;
+    units -= tx.units;
+    if (units < 1e-9) { units = 0; costBasis = 0; }
+  }
+
+  const avgCost = units ? costBasis / units : null;
+  const valueAt = (px) => (Number.isFinite(px) && units ? units * px : (units ? null : 0));
+  const marketValue = valueAt(price);
+  const navValue = valueAt(nav);
+
+  return {
+    instrument,
+    units: round(units, 4),
+    avgCost: avgCost === null ? null : round(avgCost, 4),
+    invested: round(costBasis, 2),
+    marketValue: marketValue === null ? null : round(marketValue, 2),
+    unrealisedPnl: marketValue === null ? null : round(marketValue - costBasis, 2),
+    unrealisedPct: marketValue === null || !costBasis ? null : round((marketValue / costBasis - 1) * 100, 2),
+    navValue: navValue === null ? null : round(navValue, 2),
+    unrealisedPnlNav: navValue === null ? null : round(navValue - costBasis, 2),
+    realisedPnl: round(realisedPnl, 2),
+    brokerage: round(brokerage, 2),
+    errors
+  };
+}
+
+// decision: computeDecision() output. targetValue: optional ₹ allocation the user plans for gold.
+export function positionGuidance(decision, position, { price = null, targetValue = null } = {}) {
+  const held = position?.units > 0;
+  const value = position?.marketValue;
+  const hasTarget = Number.isFinite(targetValue) && targetValue > 0;
+
+  if (!decision || decision.total === null) return { action: "WAIT", units: 0, text: "Fill core inputs before sizing a trade." };
+
+  if (decision.action === "BUY") {
+    if (!hasTarget) return { action: "BUY", units: 0, text: `Add a tranche (~${pct(GUIDANCE.buyTrancheShare)} of your planned gold allocation).` };
+    if (!Number.isFinite(price)) return { action: "BUY", units: 0, text: "Need a SETFGOLD price to size the tranche." };
+
+    const gap = targetValue - (value ?? 0);
+    if (gap <= 0) return { action: "BUY", units: 0, text: "At or above target allocation – no add needed." };
+
+    const amount = Math.min(gap, targetValue * GUIDANCE.buyTrancheShare);
+    const units = Math.floor(amount / price);
+    return { action: "BUY", units, text: units > 0 ? `Buy ~${units} units (≈ ₹${fmtInr(units * price)}); ₹${fmtInr(gap)} below target.` : "Gap to target is less than one unit." };
+  }
+
+  if (decision.action === "HOLD") {
+    if (hasTarget && Number.isFinite(value) && value > targetValue * (1 + GUIDANCE.overweightPct / 100)) {
+      return { action: "HOLD", units: 0, text: `Hold – ${round((value / targetValue - 1) * 100, 1)}% above target, pause SIP top-ups.` };
+    }
+    return { action: "HOLD", units: 0, text: held ? "Hold the position; SIP only." : "No position – start with SIP-sized buys only." };
+  }
+
+  if (decision.action === "TRIM") {
+    if (!held) return { action: "TRIM", units: 0, text: "No position to trim – avoid new buys." };
+    const units = Math.floor(position.units * GUIDANCE.trimShare);
+    return { action: "TRIM", units: -units, text: units > 0 ? `Trim ~${units} of ${position.units} units (${pct(GUIDANCE.trimShare)}).` : "Position too small to trim in part." };
+  }
+
+  return { action: "WAIT", units: 0, text: held ? "Hold; no new buys until the score improves." : "No new buys yet." };
+}
+
+/* -------------------- CSV import / export -------------------- */
+
+export function transactionsToCsv(transactions) {
+  const cell = (v) => {
+    const s = String(v ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = sortTransactions(transactions).map(tx => CSV_COLUMNS.map(c => cell(tx[c])).join(","));
+  return [CSV_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+// Returns { ok, errors, transactions }. Rows are validated one by one; any bad row fails the import.
+export function parseTransactionsCsv(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return { ok: false, errors: ["CSV is empty"], transactions: [] };
+
+  const header = splitCsvLine(lines[0]).map(h => h.trim().toLowerCase());
+  const idx = Object.fromEntries(CSV_COLUMNS.map(c => [c, header.indexOf(c)]));
+  const required = ["date", "type", "units", "price"].filter(c => idx[c] === -1);
+  if (required.length) return { ok: false, errors: [`missing column(s): ${required.join(", ")}`], transactions: [] };
+
+  const errors = [];
+  const transactions = [];
+  // Ids sort in file order, so same-day rows keep their sequence.
+  const batch = newTransactionId();
+
+  lines.slice(1).forEach((line, i) => {
+    const row = splitCsvLine(line).map(s => s.trim());
+    const get = (c) => (idx[c] === -1 ? "" : (row[idx[c]] ?? ""));
+    const tx = {
+      id: `${batch}-${String(i).padStart(5, "0")}`,
+      date: get("date"),
+      type: get("type").toLowerCase(),
+      instrument: get("instrument").toUpperCase() || DEFAULT_INSTRUMENT,
+      units: parseFloat(get("units")),
+      price: parseFloat(get("price")),
+      brokerage: get("brokerage") === "" ? 0 : parseFloat(get("brokerage")),
+      note: get("note")
+    };
+    const v = validateTransaction(tx);
+    if (v.ok) transactions.push(tx);
+    else errors.push(`row ${i + 2}: ${v.errors.join("; ")}`);
+  });
+
+  return { ok: errors.length === 0, errors, transactions };
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+function pct(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+function fmtInr(v) {
+  return Math.round(v).toLocaleString("en-IN");
+}
@@ -0,0 +1,122 @@
+/* -------------------- scoring profiles -------------------- */
+
+// A profile holds the factor weights and every cut-off used by lib/scoring.js.
+// Thresholds are ascending arrays; the tier a value lands in maps to a fixed share of the factor weight.
+// v2: domesticGold thresholds are SETFGOLD 1-year range percentiles (lower = cheaper), not rupee levels.
+
+export const PROFILE_FORMAT_VERSION = 2;
+
+export const DEFAULT_PROFILE = Object.freeze({
+  id: "default",
+  name: "Default",
+  version: PROFILE_FORMAT_VERSION,
+  weights: { usdInr: 35, realYield: 25, domesticGold: 20, dxy: 10, geo: 10 },
+  thresholds: {
+    realYield: [1.20, 1.60, 2.00],
+    dxy: [98, 102],
+    domesticGold: [25, 50, 75],
+    rsi: [35, 65, 75],
+    bands: { buy: 80, hold: 50, wait: 35 }
+  }
+});
+
+export const BUILTIN_PROFILES = [
+  DEFAULT_PROFILE,
+  Object.freeze({
+    id: "conservative",
+    name: "Conservative",
+    version: PROFILE_FORMAT_VERSION,
+    weights: { usdInr: 30, realYield: 30, domesticGold: 20, dxy: 10, geo: 10 },
+    thresholds: {
+      realYield: [1.00, 1.40, 1.80],
+      dxy: [96, 100],
+      domesticGold: [20, 40, 60],
+      rsi: [30, 60, 70],
+      bands: { buy: 85, hold: 55, wait: 40 }
+    }
+  }),
+  Object.freeze({
+    id: "aggressive",
+    name: "Aggressive",
+    version: PROFILE_FORMAT_VERSION,
+    weights: { usdInr: 35, realYield: 25, domesticGold: 25, dxy: 10, geo: 5 },
+    thresholds: {
+      realYield: [1.40, 1.80, 2.20],
+      dxy: [100, 104],
+      domesticGold: [30, 60, 85],
+      rsi: [40, 70, 80],
+      bands: { buy: 75, hold: 45, wait: 30 }
+    }
+  })
+];
+
+const WEIGHT_KEYS = ["usdInr", "realYield", "domesticGold", "dxy", "geo"];
+const THRESHOLD_LENGTHS = { realYield: 3, dxy: 2, domesticGold: 3, rsi: 3 };
+
+export function findBuiltinProfile(id) {
+  return BUILTIN_PROFILES.find(p => p.id === id) || null;
+}
+
+// Returns { ok, errors }. A profile must pass before it is applied or stored.
+export function validateProfile(p) {
+  const errors = [];
+
+  if (!p || typeof p !== "object") return { ok: false, errors: ["Profile must be a JSON object"] };
+  if (typeof p.id !== "string" || !/^[a-z0-9][a-z0-9_-]{0,39}$/i.test(p.id)) {
+    errors.push("id must be 1–40 letters, digits, '-' or '_'");
+  }
+  if (typeof p.name !== "string" || !p.name.trim()) errors.push("name is required");
+  if (p.version !== PROFILE_FORMAT_VERSION) errors.push(`version must be ${PROFILE_FORMAT_VERSION}`);
+
+  const w = p.weights || {};
+  let sum = 0;
+  for (const key of WEIGHT_KEYS) {
+    if (!Number.isFinite(w[key]) || w[key] < 0) errors.push(`weights.${key} must be a number ≥ 0`);
+    else sum += w[key];
+  }
+  if (Object.keys(w).some(k => !WEIGHT_KEYS.includes(k))) errors.push(`weights only accepts ${WEIGHT_KEYS.join(", ")}`);
+  if (Math.abs(sum - 100) > 1e-9) errors.push(`weights must sum to 100 (got ${Math.round(sum * 100) / 100})`);
+
+  const t = p.thresholds || {};
+  for (const [key, len] of Object.entries(THRESHOLD_LENGTHS)) {
+    const arr = t[key];
+    if (!Array.isArray(arr) || arr.length !== len || !arr.every(Number.isFinite)) {
+      errors.push(`thresholds.${key} must be ${len} numbers`);
+    } else if (!arr.every((v, i) => i === 0 || v > arr[i - 1])) {
+      errors.push(`thresholds.${key} must be strictly increasing`);
+    }
+  }
+  if (Array.isArray(t.domesticGold) && t.domesticGold.some(v => v < 0 || v > 100)) {
+    errors.push("thresholds.domesticGold are percentiles and must be within 0–100");
+  }
+
+  const b = t.bands || {};
+  if (![b.buy, b.hold, b.wait].every(Number.isFinite)) {
+    errors.push("thresholds.bands needs numeric buy, hold, wait");
+  } else if (!(b.buy > b.hold && b.hold > b.wait && b.wait > 0 && b.buy <= 100)) {
+    errors.push("thresholds.bands must satisfy 100 ≥ buy > hold > wait > 0");
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+// Upgrades older profile documents to the current format (returns a copy); other versions go to validation as-is.
+export function migrateProfile(p) {
+  if (!p || typeof p !== "object" || p.version !== 1) return p;
+  return {
+    ...p,
+    version: 2,
+    thresholds: { ...p.thresholds, domesticGold: DEFAULT_PROFILE.thresholds.domesticGold.slice() }
+  };
+}
+
+export function parseProfileJson(text) {
+  let p;
+  try {
+    p = migrateProfile(JSON.parse(text));
+  } catch (e) {
+    return { ok: false, errors: [`Invalid JSON: ${e.message}`], profile: null };
+  }
+  const v = validateProfile(p);
+  return { ...v, profile: v.ok ? p : null };
+}
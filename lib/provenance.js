@@ -0,0 +1,90 @@
+/* -------------------- input provenance -------------------- */
+
+// Where each input's value came from: the last /api/market fetch (source and as-of) or a manual edit (when).
+// A manual value can be locked, so the next fetch records its figure without replacing the edit, and the last
+// fetched figure is kept so a manual value can be reverted. Shared by index.html and lib/state.js; keep this
+// file free of DOM APIs.
+//
+// entry: { kind: "fetched" | "manual", fetched: { value, source, asOf } | null, manualAt: ISO | null, locked }
+
+// Inputs autoFetch() fills. Geo risk has its own auto / manual select and is not tracked here.
+export const TRACKED_INPUTS = ["dxy", "realYield", "inrTrend", "fedTone", "goldPctile", "setfPrice", "rsi14", "sbiInav", "goldSpot", "usdInrRate"];
+
+// The /api/market freshness entry naming each input's provider.
+export const SOURCE_FACTORS = {
+  dxy: "dxy",
+  realYield: "realYield",
+  inrTrend: "usdInr",
+  fedTone: "fedSignal",
+  goldPctile: "setfGoldValuation",
+  setfPrice: "setfGoldPrice",
+  rsi14: "rsi14Setfgold",
+  sbiInav: "sbiGoldEtfInav",
+  goldSpot: "goldSpot",
+  usdInrRate: "usdInr"
+};
+
+// A fetch came in. Returns { entry, apply }: apply is false while a manual value is locked.
+export function recordFetch(entry, { value, source = null, asOf = null }) {
+  const fetched = { value, source, asOf };
+  if (entry?.kind === "manual" && entry.locked) return { entry: { ...entry, fetched }, apply: false };
+  return { entry: { kind: "fetched", fetched, manualAt: null, locked: false }, apply: true };
+}
+
+export function recordManual(entry, { now = new Date() } = {}) {
+  return { kind: "manual", fetched: entry?.fetched ?? null, manualAt: now.toISOString(), locked: !!entry?.locked };
+}
+
+// Back to the last fetched figure (null when there is none to go back to).
+export function revertToFetched(entry) {
+  if (!entry?.fetched) return null;
+  return { kind: "fetched", fetched: entry.fetched, manualAt: null, locked: false };
+}
+
+export function setLocked(entry, locked) {
+  if (entry?.kind !== "manual") return entry;
+  return { ...entry, locked: !!locked };
+}
+
+// Ids of the inputs whose value is a manual edit, in TRACKED_INPUTS order.
+export function manualInputs(provenance = {}) {
+  return TRACKED_INPUTS.filter(id => provenance[id]?.kind === "manual");
+}
+
+export function validateProvenance(provenance) {
+  const errors = [];
+  if (!provenance || typeof provenance !== "object") return { ok: false, errors: ["provenance must be an object"] };
+
+  for (const [id, e] of Object.entries(provenance)) {
+    if (!TRACKED_INPUTS.includes(id)) {
+      errors.push(`provenance.${id} is not a tracked input`);
+      continue;
+    }
+    if (e?.kind !== "fetched" && e?.kind !== "manual") errors.push(`provenance.${id}.kind must be fetched or manual`);
+    if (e?.fetched !== null && typeof e?.fetched !== "object") errors.push(`provenance.${id}.fetched must be an object or null`);
+    if (e?.kind === "fetched" && !e.fetched) errors.push(`provenance.${id}.fetched is required for a fetched value`);
+    if (e?.kind === "manual" && Number.isNaN(Date.parse(e.manualAt))) errors.push(`provenance.${id}.manualAt must be an ISO date`);
+    if (typeof e?.locked !== "boolean") errors.push(`provenance.${id}.locked must be true or false`);
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+// Saves from before provenance only kept per-field confidence, which the page dropped on a manual edit: an
+// input with a confidence grade was still the fetched figure, one without it (but with a value) was edited.
+// Inputs that never had a grade (fed tone, spot, USD/INR rate) stay unknown.
+export function inferProvenance(inputs = {}, { fieldConfidence = {}, sources = {}, asOf = null } = {}, savedAt = null) {
+  const graded = ["dxy", "realYield", "inrTrend", "goldPctile", "setfPrice", "rsi14", "sbiInav"];
+  const out = {};
+  for (const id of graded) {
+    const value = inputs[id];
+    if (value === null || value === undefined) continue;
+    if (fieldConfidence[id]) {
+      out[id] = { kind: "fetched", fetched: { value, source: sources[SOURCE_FACTORS[id]]?.provider ?? null, asOf }, manualAt: null, locked: false };
+    } else if (savedAt && id !== "inrTrend") {
+      // inrTrend always has a value (the select defaults to stable), so a missing grade says nothing.
+      out[id] = { kind: "manual", fetched: null, manualAt: savedAt, locked: false };
+    }
+  }
+  return out;
+}
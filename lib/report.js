@@ -0,0 +1,193 @@
+/* -------------------- report card -------------------- */
+
+// The shareable snapshot of a decision: badge, score, chips, FX spot, as-of times, sources and manual inputs.
+// Rendered as an SVG string (the page rasterises it to PNG / JPEG on a canvas), as a printable HTML page, and
+// wrapped into a one-page PDF from the JPEG. DOM-free; the page gathers the values and handles files and sharing.
+//
+// report: { title, action, tone: "good" | "mid" | "bad", headline, chips: [{ name, value, score, low }],
+//           fx: text | null, asOf: [[label, time]], sources: text, manual: [text], generatedAt: ISO }
+
+export const REPORT_WIDTH = 1080;
+
+const COLORS = {
+  bg: "#0b0f14",
+  card: "#111827",
+  line: "#1f2937",
+  text: "#e5e7eb",
+  muted: "#94a3b8",
+  good: "#22c55e",
+  mid: "#f59e0b",
+  bad: "#ef4444"
+};
+const FONT = "ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif";
+const PAD = 56;
+
+// "2026-10-19T10:00:00.000Z" → "2026-10-19 10:00 UTC"; anything else (a bare date) is shown as is.
+export function reportTime(iso) {
+  if (typeof iso !== "string") return "—";
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(iso) ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC` : iso;
+}
+
+// Greedy word wrap by character count; the card uses one font, so an average glyph width is close enough.
+function wrap(text, size, width = REPORT_WIDTH - 2 * PAD) {
+  const max = Math.max(10, Math.floor(width / (size * 0.55)));
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line && (line + " " + word).length > max) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length ? lines : [""];
+}
+
+export function reportSvg(report) {
+  const parts = [];
+  let y = PAD;
+  const text = (value, { size = 24, color = COLORS.text, weight = 400, x = PAD } = {}) => {
+    for (const line of wrap(value, size, REPORT_WIDTH - x - PAD)) {
+      y += size * 1.35;
+      parts.push(`<text x="${x}" y="${fix(y)}" font-size="${size}" font-weight="${weight}" fill="${color}">${esc(line)}</text>`);
+    }
+  };
+  const gap = (h) => { y += h; };
+
+  text(report.title, { size: 34, weight: 700 });
+  text(`Generated ${reportTime(report.generatedAt)}`, { size: 20, color: COLORS.muted });
+  gap(24);
+
+  const tone = COLORS[report.tone] ?? COLORS.mid;
+  const badgeWidth = 48 + String(report.action).length * 22;
+  parts.push(`<rect x="${PAD}" y="${y}" width="${badgeWidth}" height="56" rx="28" fill="${tone}" fill-opacity="0.15" stroke="${tone}" stroke-width="2"/>`);
+  parts.push(`<text x="${PAD + badgeWidth / 2}" y="${y + 38}" text-anchor="middle" font-size="28" font-weight="800" fill="${COLORS.text}">${esc(report.action)}</text>`);
+  gap(56 + 8);
+  text(report.headline, { size: 34, weight: 800 });
+  gap(16);
+
+  for (const chip of report.chips) {
+    const top = y + 8;
+    const start = parts.length;
+    gap(8);
+    text(`${chip.name}: ${chip.value} • ${chip.score}${chip.low ? " • ⚠ low confidence" : ""}`, { size: 24, x: PAD + 20 });
+    const height = y - top + 14;
+    parts.splice(start, 0, `<rect x="${PAD}" y="${fix(top)}" width="${REPORT_WIDTH - 2 * PAD}" height="${fix(height)}" rx="14" fill="${COLORS.card}" stroke="${chip.low ? COLORS.mid : COLORS.line}"${chip.low ? " stroke-dasharray=\"8 6\"" : ""}/>`);
+    gap(14);
+  }
+  gap(16);
+
+  if (report.fx) text(report.fx, { size: 24, weight: 600 });
+  report.asOf.forEach(([label, at]) => text(`${label} as of ${reportTime(at)}`, { size: 22, color: COLORS.muted }));
+  text(report.sources, { size: 22, color: COLORS.muted });
+  if (report.manual.length) text(`Manual inputs: ${report.manual.join(", ")}`, { size: 22, color: COLORS.mid });
+  gap(PAD);
+
+  const height = Math.ceil(y);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${REPORT_WIDTH}" height="${height}" viewBox="0 0 ${REPORT_WIDTH} ${height}" font-family="${FONT}">` +
+    `<rect width="100%" height="100%" fill="${COLORS.bg}"/>` + parts.join("") + `</svg>`;
+}
+
+// A standalone page (light, for paper) with the same content; the browser's print dialog turns it into a PDF.
+export function reportHtml(report) {
+  const chips = report.chips.map(c =>
+    `<tr${c.low ? ` class="low"` : ""}><th>${esc(c.name)}</th><td>${esc(c.value)}</td><td>${esc(c.score)}${c.low ? " ⚠ low confidence" : ""}</td></tr>`
+  ).join("");
+  const asOf = report.asOf.map(([label, at]) => `<li>${esc(label)} as of ${esc(reportTime(at))}</li>`).join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(report.title)} – ${esc(report.action)}</title>
+<style>
+  body{font-family:${FONT};color:#111827;margin:32px;max-width:760px}
+  h1{font-size:22px;margin:0 0 4px}
+  .muted{color:#475569;font-size:13px}
+  .badge{display:inline-block;padding:6px 14px;border-radius:999px;border:2px solid ${COLORS[report.tone] ?? COLORS.mid};font-weight:800;letter-spacing:.4px;margin-top:16px}
+  .headline{font-size:22px;font-weight:800;margin:10px 0 16px}
+  table{width:100%;border-collapse:collapse;font-size:14px}
+  th,td{text-align:left;padding:6px 8px;border-bottom:1px solid #e2e8f0}
+  tr.low td{color:#b45309}
+  ul{padding-left:18px;font-size:13px}
+  .manual{color:#b45309;font-size:13px}
+  @page{margin:16mm}
+  @media print{body{margin:0}}
+</style>
+</head>
+<body>
+<h1>${esc(report.title)}</h1>
+<div class="muted">Generated ${esc(reportTime(report.generatedAt))}</div>
+<div class="badge">${esc(report.action)}</div>
+<div class="headline">${esc(report.headline)}</div>
+<table>${chips}</table>
+${report.fx ? `<p><b>${esc(report.fx)}</b></p>` : ""}
+<ul>${asOf}</ul>
+<p class="muted">${esc(report.sources)}</p>
+${report.manual.length ? `<p class="manual">Manual inputs: ${esc(report.manual.join(", "))}</p>` : ""}
+</body>
+</html>
+`;
+}
+
+// jpeg: the card as JPEG bytes (Uint8Array), width / height in pixels. Returns the bytes of an A4-wide PDF page
+// with the image scaled to fit (PDF readers decode JPEG natively, so no encoder is needed).
+export function jpegToPdf(jpeg, width, height) {
+  const pageWidth = 595;
+  const margin = 36;
+  const drawWidth = pageWidth - 2 * margin;
+  const drawHeight = Math.round(drawWidth * height / width);
+  const pageHeight = Math.max(842, drawHeight + 2 * margin);
+  const content = `q ${drawWidth} 0 0 ${drawHeight} ${margin} ${pageHeight - margin - drawHeight} cm /Im0 Do Q`;
+
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (n, ...body) => {
+    offsets[n] = length;
+    push(`${n} 0 obj\n`);
+    body.forEach(push);
+    push("\nendobj\n");
+  };
+
+  push("%PDF-1.4\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, "<< /Type /Pages /Kids [3 0 R] /Count 1 >>");
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`);
+  object(4, `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, "\nendstream");
+  object(5, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+
+  const xref = length;
+  push(`xref\n0 6\n0000000000 65535 f \n${offsets.slice(1).map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`);
+  push(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const out = new Uint8Array(length);
+  let at = 0;
+  for (const c of chunks) {
+    out.set(c, at);
+    at += c.length;
+  }
+  return out;
+}
+
+// "gold-radar-india-2026-10-19.png"
+export function reportFileName(report, ext) {
+  const slug = String(report.title).replace(/^.*·\s*/, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `gold-radar-${slug || "report"}-${String(report.generatedAt).slice(0, 10)}.${ext}`;
+}
+
+function fix(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[c]));
+}
@@ -0,0 +1,235 @@
+/* -------------------- core India scoring -------------------- */
+
+// Shared by index.html (as a browser module) and the Pages Functions (/api/decision).
+// Keep this file free of DOM and Worker-only APIs.
+// Every scorer takes an optional profile (lib/profiles.js); omitted means DEFAULT_PROFILE.
+
+import { DEFAULT_PROFILE } from "./profiles.js";
+import { normalizeFedSignal } from "./fed.js";
+import { normalizeGeoRisk } from "./georisk.js";
+import { DEFAULT_MARKET_ID } from "./markets.js";
+
+export const WEIGHTS = DEFAULT_PROFILE.weights;
+
+export const FACTOR_LABELS = {
+  usdInr: "USD/INR trend",
+  realYield: "Real Yield",
+  domesticGold: "Domestic Gold Valuation",
+  dxy: "DXY",
+  geo: "Geo Risk"
+};
+
+// 30-day USD/INR % change → trend bucket used by scoreUsdInrTrend.
+export function usdInrTrendFromPct(pct) {
+  if (typeof pct !== "number" || !Number.isFinite(pct)) return "stable";
+  if (pct > 0.5) return "weakening";
+  if (pct < -0.5) return "strengthening";
+  return "stable";
+}
+
+// Share of the factor weight earned in each tier, best tier first (default profile: 35/20/8, 25/18/12/5, …).
+const TIER_SHARES = {
+  usdInr: { weakening: 1, stable: 20 / 35, strengthening: 8 / 35 },
+  realYield: [1, 18 / 25, 12 / 25, 5 / 25],
+  domesticGold: [1, 15 / 20, 10 / 20, 5 / 20],
+  dxy: [1, 6 / 10, 3 / 10],
+  geo: { high: 1, medium: 6 / 10, low: 3 / 10 }
+};
+
+function points(profile, factor, share) {
+  return Math.round(profile.weights[factor] * share);
+}
+
+export function scoreUsdInrTrend(trend, profile = DEFAULT_PROFILE) {
+  const share = TIER_SHARES.usdInr[trend];
+  return share === undefined ? null : points(profile, "usdInr", share);
+}
+
+export function scoreRealYield(val, profile = DEFAULT_PROFILE) {
+  if (!Number.isFinite(val)) return null;
+  const [t1, t2, t3] = profile.thresholds.realYield;
+  const shares = TIER_SHARES.realYield;
+  if (val <= t1) return points(profile, "realYield", shares[0]);
+  if (val <= t2) return points(profile, "realYield", shares[1]);
+  if (val <= t3) return points(profile, "realYield", shares[2]);
+  return points(profile, "realYield", shares[3]);
+}
+
+// val: SETFGOLD percentile within its trailing 1-year closes (0–100). Lower = cheaper vs its own history.
+export function scoreDomesticGold(val, profile = DEFAULT_PROFILE) {
+  if (!Number.isFinite(val)) return null;
+  const [t1, t2, t3] = profile.thresholds.domesticGold;
+  const shares = TIER_SHARES.domesticGold;
+  if (val <= t1) return points(profile, "domesticGold", shares[0]);
+  if (val <= t2) return points(profile, "domesticGold", shares[1]);
+  if (val <= t3) return points(profile, "domesticGold", shares[2]);
+  return points(profile, "domesticGold", shares[3]);
+}
+
+export function scoreDxy(val, profile = DEFAULT_PROFILE) {
+  if (!Number.isFinite(val)) return null;
+  const [t1, t2] = profile.thresholds.dxy;
+  const shares = TIER_SHARES.dxy;
+  if (val <= t1) return points(profile, "dxy", shares[0]);
+  if (val <= t2) return points(profile, "dxy", shares[1]);
+  return points(profile, "dxy", shares[2]);
+}
+
+export function scoreGeo(v, profile = DEFAULT_PROFILE) {
+  const share = TIER_SHARES.geo[v];
+  return share === undefined ? null : points(profile, "geo", share);
+}
+
+export function rsiTiming(rsi, profile = DEFAULT_PROFILE) {
+  const [good, neutral, stretched] = profile.thresholds.rsi;
+  if (!Number.isFinite(rsi)) return { text: "Manual input needed", tone: "—" };
+  if (rsi < good) return { text: "Good entry zone", tone: "Good" };
+  if (rsi <= neutral) return { text: "Neutral timing", tone: "Neutral" };
+  if (rsi <= stretched) return { text: "Price stretched", tone: "Caution" };
+  return { text: "Overbought wait", tone: "Avoid chasing" };
+}
+
+export function premiumDiscountPct(price, inav) {
+  if (!Number.isFinite(price) || !Number.isFinite(inav) || inav === 0) return null;
+  return ((price - inav) / inav) * 100;
+}
+
+/* -------------------- action bands -------------------- */
+
+const BAND_STYLES = [
+  { key: "buy", action: "BUY", label: "BUY / ACCUMULATE", cls: "good", zone: "zone-buy", summary: "Strong core setup." },
+  { key: "hold", action: "HOLD", label: "HOLD / SIP", cls: "mid", zone: "zone-hold", summary: "Core trend is supportive but not decisive." },
+  { key: "wait", action: "WAIT", label: "WAIT", cls: "mid", zone: "zone-wait", summary: "Weak edge. Better to wait for better setup." },
+  { key: "trim", action: "TRIM", label: "TRIM / AVOID", cls: "bad", zone: "zone-trim", summary: "Weak core setup. Avoid aggressive fresh buying." }
+];
+
+export function bandsForProfile(profile = DEFAULT_PROFILE) {
+  const cut = profile.thresholds.bands;
+  return BAND_STYLES.map(b => ({ ...b, min: b.key === "trim" ? -Infinity : cut[b.key] }));
+}
+
+export const BANDS = bandsForProfile(DEFAULT_PROFILE);
+
+export function bandForScore(total, profile = DEFAULT_PROFILE) {
+  return bandsForProfile(profile).find(b => total >= b.min);
+}
+
+/* -------------------- full decision -------------------- */
+
+// inputs: { inrTrend, realYield, goldPctile, setfPrice, dxy, geoRisk, rsi, sbiInav, fedTone }
+// setfPrice only feeds the iNAV premium overlay; the domestic gold factor scores goldPctile.
+export function computeDecision(inputs = {}, profile = DEFAULT_PROFILE) {
+  const w = profile.weights;
+  const factors = {
+    usdInr: { input: inputs.inrTrend ?? null, score: scoreUsdInrTrend(inputs.inrTrend, profile), max: w.usdInr },
+    realYield: { input: numberOrNull(inputs.realYield), score: scoreRealYield(inputs.realYield, profile), max: w.realYield },
+    domesticGold: { input: numberOrNull(inputs.goldPctile), score: scoreDomesticGold(inputs.goldPctile, profile), max: w.domesticGold },
+    dxy: { input: numberOrNull(inputs.dxy), score: scoreDxy(inputs.dxy, profile), max: w.dxy },
+    geo: { input: inputs.geoRisk ?? null, score: scoreGeo(inputs.geoRisk, profile), max: w.geo }
+  };
+  // A zero-weight factor (the currency trend in a USD or USD-pegged market, see lib/markets.js) is never missing.
+  for (const f of Object.values(factors)) if (f.max === 0) f.score = 0;
+
+  const profileRef = { id: profile.id, name: profile.name };
+  const timing = { rsi: numberOrNull(inputs.rsi), ...rsiTiming(inputs.rsi, profile) };
+  const overlays = {
+    fedTone: fedSignalToTone(inputs.fedTone),
+    premiumDiscountPct: premiumDiscountPct(inputs.setfPrice, inputs.sbiInav)
+  };
+
+  const missing = Object.keys(factors)
+    .filter(k => factors[k].score === null)
+    .map(k => FACTOR_LABELS[k]);
+
+  if (missing.length) {
+    return {
+      total: null,
+      action: "WAIT",
+      label: "WAIT",
+      cls: "mid",
+      zone: "zone-wait",
+      headline: "Insufficient core inputs → WAIT",
+      explain: `Fill: ${missing.join(", ")}`,
+      factors,
+      timing,
+      overlays,
+      missing,
+      profile: profileRef
+    };
+  }
+
+  const total = Object.values(factors).reduce((sum, f) => sum + f.score, 0);
+  const band = bandForScore(total, profile);
+
+  return {
+    total,
+    action: band.action,
+    label: band.label,
+    cls: band.cls,
+    zone: band.zone,
+    headline: `Core Score: ${total}/100 → ${band.label}`,
+    explain: `${band.summary} Timing: ${timing.text}.`,
+    factors,
+    timing,
+    overlays,
+    missing,
+    profile: profileRef
+  };
+}
+
+// Maps an /api/market payload onto computeDecision inputs. geoRisk is the derived level (lib/georisk.js),
+// medium when the payload has none; pass { geoRisk } to override it.
+// The currency trend, local gold price, valuation and RSI come from the payload's localMarket block when it is
+// not India (?market=); India's are the flat SETFGOLD / USD/INR fields.
+export function inputsFromMarket(data, overrides = {}) {
+  const local = data?.localMarket?.id && data.localMarket.id !== DEFAULT_MARKET_ID ? data.localMarket : null;
+  return {
+    inrTrend: local ? (local.fxTrend ?? "stable") : (data?.usdInrTrend ?? null),
+    realYield: numberOrNull(data?.realYield),
+    setfPrice: numberOrNull(local ? local.goldPrice : data?.setfGoldPrice),
+    goldPctile: numberOrNull(local ? local.goldPctile1y : data?.setfGoldPctile1y),
+    dxy: numberOrNull(data?.dxy),
+    rsi: numberOrNull(local ? local.rsi14 : data?.rsi14Setfgold),
+    sbiInav: local ? null : numberOrNull(data?.sbiGoldEtfInav),
+    fedTone: fedSignalToTone(data?.fedSignal),
+    geoRisk: normalizeGeoRisk(data?.geoRisk) ?? "medium",
+    ...overrides
+  };
+}
+
+/* -------------------- input confidence -------------------- */
+
+// Which /api/market quality field backs each scored factor.
+export const FACTOR_QUALITY_FIELDS = {
+  usdInr: "usdInr",
+  realYield: "realYield",
+  domesticGold: "setfGoldValuation",
+  dxy: "dxy",
+  geo: "geoRisk"
+};
+
+const CONFIDENCE_ORDER = ["high", "medium", "low"];
+
+// quality: /api/market quality (high | medium | low | missing per field). A factor without a quality entry
+// (manual or overridden input) counts as high. low lists the factors the score leans on at low confidence;
+// a zero-weight factor is left out.
+export function decisionConfidence(decision, quality = {}) {
+  const levels = Object.keys(FACTOR_QUALITY_FIELDS)
+    .filter(k => decision?.factors?.[k]?.score !== null && decision?.factors?.[k]?.score !== undefined && decision.factors[k].max !== 0)
+    .map(k => ({ factor: k, level: quality?.[FACTOR_QUALITY_FIELDS[k]] }))
+    .filter(x => CONFIDENCE_ORDER.includes(x.level));
+
+  const low = levels.filter(x => x.level === "low").map(x => FACTOR_LABELS[x.factor]);
+  const level = low.length ? "low" : levels.some(x => x.level === "medium") ? "medium" : "high";
+  return { level, low };
+}
+
+// The overlay uses the lib/fed.js vocabulary; "unknown" (and anything else) shows as neutral.
+export function fedSignalToTone(signal) {
+  const s = normalizeFedSignal(signal);
+  return s === "unknown" ? "neutral" : s;
+}
+
+function numberOrNull(v) {
+  return (typeof v === "number" && Number.isFinite(v)) ? v : null;
+}
@@ -0,0 +1,102 @@
+/* -------------------- daily series parsers -------------------- */
+
+// Turn raw upstream payloads (as fetched by market.js, or recorded to fixtures) into
+// ascending [{ date: "YYYY-MM-DD", value }] arrays.
+
+export function parseYahooChartSeries(json) {
+  const result = json?.chart?.result?.[0];
+  if (!result) throw new Error("Yahoo chart payload missing result");
+
+  const stamps = Array.isArray(result.timestamp) ? result.timestamp : [];
+  const quote = result?.indicators?.quote?.[0] || {};
+  const closes = quote.close || [];
+  const highs = quote.high || [];
+  const lows = quote.low || [];
+
+  const out = [];
+  for (let i = 0; i < stamps.length; i++) {
+    const value = closes[i];
+    if (typeof value !== "number" || !Number.isFinite(value)) continue;
+
+    const point = { date: new Date(stamps[i] * 1000).toISOString().slice(0, 10), value };
+    if (Number.isFinite(highs[i])) point.high = highs[i];
+    if (Number.isFinite(lows[i])) point.low = lows[i];
+    out.push(point);
+  }
+
+  return dedupeByDate(out);
+}
+
+export function parseFredCsvSeries(text) {
+  if (!text || typeof text !== "string") throw new Error("FRED CSV empty");
+
+  const lines = text.replace(/^\uFEFF/, "").trim().split(/\r?\n/).filter(Boolean);
+  const out = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    const parts = splitCsvLine(lines[i]);
+    const date = (parts[0] || "").trim();
+    const value = parseFloat(parts[1]);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Number.isFinite(value)) continue;
+    out.push({ date, value });
+  }
+
+  return dedupeByDate(out);
+}
+
+export function splitCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    const next = line[i + 1];
+
+    if (ch === '"') {
+      if (inQuotes && next === '"') {
+        cur += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+
+    if (ch === "," && !inQuotes) {
+      out.push(cur);
+      cur = "";
+      continue;
+    }
+
+    cur += ch;
+  }
+
+  out.push(cur);
+  return out;
+}
+
+// Last value on or before each requested date. `series` must be ascending.
+export function carryForward(series, dates) {
+  const out = new Map();
+  let j = -1;
+
+  for (const date of dates) {
+    while (j + 1 < series.length && series[j + 1].date <= date) j++;
+    out.set(date, j >= 0 ? series[j].value : null);
+  }
+
+  return out;
+}
+
+export function shiftIsoDate(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function dedupeByDate(points) {
+  const byDate = new Map();
+  for (const p of points) byDate.set(p.date, p);
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
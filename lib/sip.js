@@ -0,0 +1,150 @@
+/* -------------------- score-modulated SIP -------------------- */
+
+// A SIP plan scales a base monthly amount by the multiplier of the current action band.
+// Shared by the page (planner, log) and /api/sip (simulation); keep this file free of DOM APIs.
+
+export const SIP_ACTIONS = ["BUY", "HOLD", "WAIT", "TRIM"];
+
+export const DEFAULT_SIP_PLAN = {
+  baseAmount: 10000,
+  dayOfMonth: 5,
+  multipliers: { BUY: 1.5, HOLD: 1, WAIT: 0.5, TRIM: 0 }
+};
+
+const MAX_MULTIPLIER = 5;
+
+export function validateSipPlan(plan) {
+  const errors = [];
+  if (!plan || typeof plan !== "object") return { ok: false, errors: ["plan must be an object"] };
+
+  if (!Number.isFinite(plan.baseAmount) || plan.baseAmount <= 0) errors.push("baseAmount must be a positive number");
+  if (!Number.isInteger(plan.dayOfMonth) || plan.dayOfMonth < 1 || plan.dayOfMonth > 28) errors.push("dayOfMonth must be 1–28");
+
+  for (const action of SIP_ACTIONS) {
+    const m = plan.multipliers?.[action];
+    if (!Number.isFinite(m) || m < 0 || m > MAX_MULTIPLIER) errors.push(`multipliers.${action} must be 0–${MAX_MULTIPLIER}`);
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+// A missing score (action null) invests the flat base amount.
+export function sipInstalment(plan, action) {
+  const multiplier = action ? plan.multipliers[action] : 1;
+  return { action: action ?? null, multiplier, amount: round(plan.baseAmount * multiplier, 2) };
+}
+
+// Next `count` instalment dates from `fromDate` (YYYY-MM-DD), all sized on today's action:
+// the score for later months is unknown, so the schedule shows what the current signal implies.
+export function projectSchedule(plan, action, { fromDate, count = 6 } = {}) {
+  const [y, m, d] = fromDate.split("-").map(Number);
+  const out = [];
+  let year = y;
+  let month = d > plan.dayOfMonth ? m + 1 : m;
+
+  while (out.length < count) {
+    if (month > 12) { month -= 12; year++; }
+    const date = `${year}-${String(month).padStart(2, "0")}-${String(plan.dayOfMonth).padStart(2, "0")}`;
+    out.push({ date, ...sipInstalment(plan, action), flatAmount: plan.baseAmount });
+    month++;
+  }
+
+  return out;
+}
+
+/* -------------------- simulation vs flat SIP -------------------- */
+
+// rows: ascending [{ date, close, action }] (see buildReplayRows / buildSnapshotRows in lib/backtest.js).
+// One instalment per month on the first row on/after dayOfMonth (or the month's last row), sized on the
+// previous row's action so the signal is known before the purchase.
+export function simulateSip(rows, plan) {
+  const picks = [];
+  const byMonth = new Map();
+  rows.forEach((r, i) => {
+    const key = r.date.slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(i);
+  });
+
+  for (const idx of byMonth.values()) {
+    const i = idx.find(j => Number(rows[j].date.slice(8, 10)) >= plan.dayOfMonth) ?? idx[idx.length - 1];
+    picks.push(i);
+  }
+
+  const radar = { invested: 0, units: 0, flows: [] };
+  const flat = { invested: 0, units: 0, flows: [] };
+  const byAction = Object.fromEntries(SIP_ACTIONS.map(a => [a, { count: 0, amount: 0 }]));
+  let unscored = 0;
+
+  const schedule = picks.map(i => {
+    const row = rows[i];
+    const inst = sipInstalment(plan, i > 0 ? rows[i - 1].action : null);
+    if (inst.action) {
+      byAction[inst.action].count++;
+      byAction[inst.action].amount += inst.amount;
+    } else {
+      unscored++;
+    }
+
+    buy(radar, inst.amount, row);
+    buy(flat, plan.baseAmount, row);
+    return { date: row.date, price: row.close, ...inst };
+  });
+
+  const last = rows[rows.length - 1];
+
+  return {
+    period: { from: rows[0]?.date ?? null, to: last?.date ?? null, instalments: schedule.length, unscored },
+    radar: summarizeSip(radar, last),
+    flat: summarizeSip(flat, last),
+    byAction: Object.fromEntries(Object.entries(byAction).map(([a, v]) => [a, { count: v.count, amount: round(v.amount, 2) }])),
+    schedule,
+    notes: [
+      "Each instalment uses the previous trading day's action.",
+      "Months before the score is available invest the flat base amount.",
+      "No brokerage or taxes; units are fractional."
+    ]
+  };
+}
+
+function buy(book, amount, row) {
+  if (!(amount > 0)) return;
+  book.invested += amount;
+  book.units += amount / row.close;
+  book.flows.push({ date: row.date, amount: -amount });
+}
+
+function summarizeSip(book, last) {
+  const value = last ? book.units * last.close : 0;
+  return {
+    invested: round(book.invested, 2),
+    units: round(book.units, 4),
+    value: round(value, 2),
+    avgCost: book.units ? round(book.invested / book.units, 4) : null,
+    returnPct: book.invested ? round((value / book.invested - 1) * 100, 2) : null,
+    xirrPct: last && book.flows.length ? xirrPct([...book.flows, { date: last.date, amount: value }]) : null
+  };
+}
+
+// Annualised money-weighted return by bisection; null if it cannot be bracketed.
+function xirrPct(flows) {
+  const t0 = Date.parse(flows[0].date);
+  const years = flows.map(f => (Date.parse(f.date) - t0) / (365 * 86400000));
+  const npv = (r) => flows.reduce((s, f, i) => s + f.amount / Math.pow(1 + r, years[i]), 0);
+
+  let lo = -0.99;
+  let hi = 10;
+  if (years[years.length - 1] <= 0 || npv(lo) * npv(hi) > 0) return null;
+
+  for (let k = 0; k < 200; k++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid;
+    else lo = mid;
+  }
+  return round(((lo + hi) / 2) * 100, 2);
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
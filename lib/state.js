@@ -0,0 +1,401 @@
+/* -------------------- state document -------------------- */
+
+// Everything the page keeps on a device, as one versioned JSON document: raw inputs per market (numbers, not
+// the formatted labels), manual overrides, profiles and alert rules, holdings, the SIP plan and log, and the
+// decision journal. It is what Export writes, what Import reads and what /api/sync stores (encrypted).
+// Storage (localStorage + IndexedDB) lives in index.html; keep this file free of DOM APIs.
+//
+// v1: first structured format. Older saves are the flat goldDecisionRadar:v4* objects of DOM text values,
+//     upgraded by migrateLegacyState() / migrateLegacyInputs().
+// v2: markets[id].provenance, where each fetched input came from or when it was edited (lib/provenance.js).
+
+import { DEFAULT_MARKET_ID, MARKETS } from "./markets.js";
+import { DEFAULT_PROFILE, migrateProfile, validateProfile } from "./profiles.js";
+import { validateRules } from "./alerts.js";
+import { DEFAULT_INSTRUMENT_ID, findInstrument } from "./instruments.js";
+import { DEFAULT_SIP_PLAN, validateSipPlan } from "./sip.js";
+import { validateTransaction } from "./portfolio.js";
+import { validateJournalEntry } from "./journal.js";
+import { inferProvenance, validateProvenance } from "./provenance.js";
+
+export const STATE_APP = "gold-decision-radar";
+export const STATE_VERSION = 2;
+
+// Numeric inputs are stored as numbers (null = blank); the rest are choices.
+export const NUMERIC_INPUTS = ["dxy", "realYield", "goldPctile", "setfPrice", "rsi14", "sbiInav", "goldSpot", "usdInrRate", "mcxPrice", "importDuty", "gstRate"];
+
+export const CHOICE_INPUTS = {
+  fedTone: ["dovish", "neutral", "hawkish"],
+  inrTrend: ["weakening", "stable", "strengthening"],
+  // Anything but "auto" is a manual override of the derived level.
+  geoRisk: ["auto", "low", "medium", "high"],
+  // "" leaves the auto Fed tone to the server's FOMC_BIAS.
+  fomcBias: ["", "dovish", "neutral", "hawkish"]
+};
+
+// deleted: { "transactions:<id>" | "sipLog:<id>" | "journal:<id>": ISO time } — remembered this long so a sync
+// does not bring a deleted row back (a SIP log entry and the holdings buy it created share an id).
+const TOMBSTONE_DAYS = 400;
+
+export function emptyMarketState() {
+  return {
+    savedAt: null,
+    inputs: {
+      ...Object.fromEntries(NUMERIC_INPUTS.map(k => [k, null])),
+      fedTone: "neutral",
+      inrTrend: "stable",
+      geoRisk: "auto",
+      fomcBias: "",
+      instrument: DEFAULT_INSTRUMENT_ID
+    },
+    fetched: {
+      asOf: null,
+      realYieldAsOf: null,
+      navAsOf: null,
+      fx: { rate: null, changePct30d: null },
+      valuation: { vs50dPct: null, vs200dPct: null, drawdown52wPct: null },
+      // { [factor]: { provider } }, the subset of /api/market freshness the page's Sources pill shows.
+      sources: {},
+      geoAuto: { level: null, reason: null, confidence: null },
+      // /api/market fedSignal*: { signal, reason, confidence, source, inputs: { realYield, twoYearChangeBp, slopeChangeBp } }
+      fed: null,
+      // /api/market technicalTiming* for SETFGOLD: { verdict, score, reason, components, asOf } (India only)
+      technicals: null,
+      fieldConfidence: {},
+      quotes: {},
+      fairConfig: null
+    },
+    // { [input]: provenance entry } for the inputs autoFetch() fills
+    provenance: {}
+  };
+}
+
+export function emptyState() {
+  return {
+    app: STATE_APP,
+    version: STATE_VERSION,
+    updatedAt: null,
+    settings: {
+      market: DEFAULT_MARKET_ID,
+      profiles: { activeId: DEFAULT_PROFILE.id, custom: [] },
+      alerts: { rules: [], enabled: false }
+    },
+    markets: {},
+    holdings: { transactions: [], targetValue: null },
+    sip: { plan: structuredClone(DEFAULT_SIP_PLAN), log: [] },
+    journal: [],
+    deleted: {}
+  };
+}
+
+/* -------------------- legacy (v4 flat saves) -------------------- */
+
+// "As of: 2025-03-01" → "2025-03-01"; "As of: —" → null.
+function afterLabel(text) {
+  if (typeof text !== "string") return null;
+  const v = text.replace(/^[^:]*:\s*/, "").trim();
+  return v && v !== "—" ? v : null;
+}
+
+function legacyNumber(v) {
+  const n = typeof v === "number" ? v : parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "vs 50D: +1.2% • vs 200D: … • From 52W high: -3.0%": one signed percentage after each label.
+function legacyPct(text, label) {
+  const m = String(text ?? "").match(new RegExp(`${label}:\\s*([+-]?\\d+(?:\\.\\d+)?)%`));
+  return m ? Number(m[1]) : null;
+}
+
+// "Sources: DXY:yahoo | USDINR:stooq" (index.html formatSources) → { dxy: { provider: "yahoo" }, … }.
+const LEGACY_SOURCE_LABELS = {
+  DXY: "dxy", USDINR: "usdInr", RY: "realYield", FED: "fedSignal", SETFGOLD: "setfGoldPrice",
+  VAL: "setfGoldValuation", "SBI iNAV": "sbiGoldEtfInav", RSI: "rsi14Setfgold", Spot: "goldSpot", GEO: "geoProxies"
+};
+
+function legacySources(text) {
+  const out = {};
+  for (const part of (afterLabel(text) ?? "").split(" | ")) {
+    const i = part.indexOf(":");
+    const factor = LEGACY_SOURCE_LABELS[part.slice(0, i)];
+    if (i > 0 && factor) out[factor] = { provider: part.slice(i + 1) };
+  }
+  return out;
+}
+
+// One flat goldDecisionRadar:v4* object (strings straight from the DOM) → a market state.
+export function migrateLegacyInputs(flat) {
+  const out = emptyMarketState();
+  if (!flat || typeof flat !== "object") return out;
+
+  for (const key of NUMERIC_INPUTS) out.inputs[key] = legacyNumber(flat[key]);
+  for (const [key, allowed] of Object.entries(CHOICE_INPUTS)) {
+    if (allowed.includes(flat[key])) out.inputs[key] = flat[key];
+  }
+  // Saves from before the auto level stored the default "medium"; treat that as auto.
+  if (!flat.geoAuto && flat.geoRisk === "medium") out.inputs.geoRisk = "auto";
+  if (findInstrument(flat.instrument)) out.inputs.instrument = findInstrument(flat.instrument).id;
+
+  const f = out.fetched;
+  f.asOf = typeof flat.marketAsOf === "string" ? flat.marketAsOf : afterLabel(flat.asOf);
+  f.realYieldAsOf = afterLabel(flat.realYieldAsOf);
+  f.navAsOf = afterLabel(flat.sbiInavAsOf);
+  // "USD/INR Spot: 83.1200 | 30d: +0.42% ↑"; the colour class followed from the 30-day move, so it is not kept.
+  f.fx = {
+    rate: legacyNumber(afterLabel(flat.usdInrSpot)),
+    changePct30d: legacyPct(flat.usdInrSpot, "30d")
+  };
+  f.valuation = {
+    vs50dPct: legacyPct(flat.goldValuation, "vs 50D"),
+    vs200dPct: legacyPct(flat.goldValuation, "vs 200D"),
+    drawdown52wPct: legacyPct(flat.goldValuation, "From 52W high")
+  };
+  f.sources = legacySources(flat.fresh);
+  if (flat.geoAuto && typeof flat.geoAuto === "object") f.geoAuto = { ...f.geoAuto, ...flat.geoAuto };
+  if (flat.fieldConfidence && typeof flat.fieldConfidence === "object") f.fieldConfidence = { ...flat.fieldConfidence };
+  if (flat.quotes && typeof flat.quotes === "object") f.quotes = { ...flat.quotes };
+  if (flat.serverFairConfig && typeof flat.serverFairConfig === "object") f.fairConfig = { ...flat.serverFairConfig };
+  out.savedAt = typeof flat.lastSavedISO === "string" ? flat.lastSavedISO : null;
+  out.provenance = inferProvenance(out.inputs, f, out.savedAt);
+  return out;
+}
+
+// inputs: { [marketId]: flat v4 object } (India's goldDecisionRadar:v4india and the other markets' keys);
+// profiles / alerts: the parsed goldDecisionRadar:profiles / :alerts values; market: goldDecisionRadar:market.
+export function migrateLegacyState({ inputs = {}, profiles = null, alerts = null, market = null } = {}) {
+  const state = emptyState();
+  for (const [id, flat] of Object.entries(inputs)) {
+    if (MARKETS[id] && flat) state.markets[id] = migrateLegacyInputs(flat);
+  }
+  if (MARKETS[market]) state.settings.market = market;
+  if (profiles && typeof profiles === "object") {
+    state.settings.profiles = {
+      activeId: typeof profiles.activeId === "string" ? profiles.activeId : DEFAULT_PROFILE.id,
+      custom: Array.isArray(profiles.custom) ? profiles.custom.map(migrateProfile).filter(p => validateProfile(p).ok) : []
+    };
+  }
+  if (alerts && validateRules(alerts.rules ?? []).ok) state.settings.alerts = { rules: alerts.rules ?? [], enabled: !!alerts.enabled };
+  state.updatedAt = Object.values(state.markets).map(m => m.savedAt).filter(Boolean).sort().pop() ?? null;
+  return state;
+}
+
+// A flat v4 save is recognisable by the formatted labels it carried.
+function isLegacyInputs(raw) {
+  return "usdInrSpot" in raw || "lastSavedISO" in raw || ("dxy" in raw && !("version" in raw));
+}
+
+/* -------------------- validation -------------------- */
+
+export function validateState(state) {
+  const errors = [];
+  if (!state || typeof state !== "object") return { ok: false, errors: ["state must be an object"] };
+
+  if (state.app !== STATE_APP) errors.push(`app must be "${STATE_APP}"`);
+  if (state.version !== STATE_VERSION) errors.push(`version must be ${STATE_VERSION}`);
+  if (state.updatedAt !== null && Number.isNaN(Date.parse(state.updatedAt))) errors.push("updatedAt must be an ISO date or null");
+
+  const s = state.settings || {};
+  if (!MARKETS[s.market]) errors.push(`settings.market must be one of ${Object.keys(MARKETS).join(", ")}`);
+  if (typeof s.profiles?.activeId !== "string") errors.push("settings.profiles.activeId is required");
+  if (!Array.isArray(s.profiles?.custom)) errors.push("settings.profiles.custom must be an array");
+  else s.profiles.custom.forEach((p, i) => validateProfile(p).errors.forEach(e => errors.push(`settings.profiles.custom[${i}]: ${e}`)));
+  validateRules(s.alerts?.rules).errors.forEach(e => errors.push(`settings.alerts: ${e}`));
+
+  for (const [id, m] of Object.entries(state.markets || {})) {
+    if (!MARKETS[id]) {
+      errors.push(`markets.${id} is not a market`);
+      continue;
+    }
+    const inputs = m?.inputs || {};
+    for (const key of NUMERIC_INPUTS) {
+      if (inputs[key] !== null && !Number.isFinite(inputs[key])) errors.push(`markets.${id}.inputs.${key} must be a number or null`);
+    }
+    for (const [key, allowed] of Object.entries(CHOICE_INPUTS)) {
+      if (!allowed.includes(inputs[key])) errors.push(`markets.${id}.inputs.${key} must be one of ${allowed.join("/")}`);
+    }
+    if (!findInstrument(inputs.instrument)) errors.push(`markets.${id}.inputs.instrument is unknown`);
+    if (!m?.fetched || typeof m.fetched !== "object") errors.push(`markets.${id}.fetched must be an object`);
+    validateProvenance(m?.provenance).errors.forEach(e => errors.push(`markets.${id}.${e}`));
+  }
+
+  if (!Array.isArray(state.holdings?.transactions)) errors.push("holdings.transactions must be an array");
+  else state.holdings.transactions.forEach((t, i) => validateTransaction(t).errors.forEach(e => errors.push(`holdings.transactions[${i}]: ${e}`)));
+  if (state.holdings?.targetValue != null && !(state.holdings.targetValue > 0)) errors.push("holdings.targetValue must be positive or null");
+
+  validateSipPlan(state.sip?.plan).errors.forEach(e => errors.push(`sip.plan: ${e}`));
+  if (!Array.isArray(state.sip?.log)) errors.push("sip.log must be an array");
+  else state.sip.log.forEach((r, i) => {
+    if (!r?.id || !/^\d{4}-\d{2}-\d{2}$/.test(r.date || "") || !(r.amount > 0)) errors.push(`sip.log[${i}] needs id, date and a positive amount`);
+  });
+
+  if (!Array.isArray(state.journal)) errors.push("journal must be an array");
+  else state.journal.forEach((j, i) => validateJournalEntry(j).errors.forEach(e => errors.push(`journal[${i}]: ${e}`)));
+
+  if (!state.deleted || typeof state.deleted !== "object") errors.push("deleted must be an object");
+
+  return { ok: errors.length === 0, errors };
+}
+
+// Fills sections a partial document leaves out (an export from a device that never opened holdings, say).
+function withDefaults(raw) {
+  const base = emptyState();
+  return {
+    ...base,
+    ...raw,
+    settings: { ...base.settings, ...raw.settings },
+    holdings: { ...base.holdings, ...raw.holdings },
+    sip: { ...base.sip, ...raw.sip },
+    markets: Object.fromEntries(Object.entries(raw.markets || {}).map(([id, m]) => {
+      const empty = emptyMarketState();
+      return [id, { ...empty, ...m, inputs: { ...empty.inputs, ...m?.inputs }, fetched: { ...empty.fetched, ...m?.fetched } }];
+    })),
+    deleted: raw.deleted || {}
+  };
+}
+
+// Upgrades any saved shape to the current version (returns a copy); unknown versions go to validation as-is.
+export function migrateState(raw) {
+  if (!raw || typeof raw !== "object") return raw;
+  if (raw.app !== STATE_APP && isLegacyInputs(raw)) return migrateLegacyState({ inputs: { [DEFAULT_MARKET_ID]: raw } });
+  if (raw.app === STATE_APP && raw.version === 1) return upgradeV1(raw);
+  if (raw.app === STATE_APP && raw.version === STATE_VERSION) return withDefaults(raw);
+  return raw;
+}
+
+// v1 → v2: provenance inferred from the per-field confidence each market kept.
+function upgradeV1(raw) {
+  const state = withDefaults({ ...raw, version: STATE_VERSION });
+  for (const m of Object.values(state.markets)) m.provenance = inferProvenance(m.inputs, m.fetched, m.savedAt);
+  return state;
+}
+
+// Import: a state document of this or an older version, or a bare v4 save. Returns { ok, errors, state, from }
+// where from is the file's state version, or "v4" for a bare save (which carries India's inputs and nothing else).
+export function parseStateJson(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, errors: [`Invalid JSON: ${e.message}`], state: null, from: null };
+  }
+  const from = raw?.app === STATE_APP ? raw.version : "v4";
+  if (raw?.app === STATE_APP && raw.version > STATE_VERSION) {
+    return { ok: false, errors: [`state version ${raw.version} is newer than this app (${STATE_VERSION}); update the app first`], state: null, from };
+  }
+  const state = migrateState(raw);
+  const v = validateState(state);
+  return { ...v, state: v.ok ? state : null, from };
+}
+
+/* -------------------- merge (sync) -------------------- */
+
+// Two devices' documents → one. Settings, the SIP plan and the target value come from the document saved last;
+// each market's inputs from whichever was saved last for that market. Holdings, the SIP log and the journal are
+// merged by id (the later document wins a clash), minus anything either side deleted.
+// override: b's settings and inputs win whatever the times (Import of a backup).
+export function mergeStates(a, b, { now = new Date(), override = false } = {}) {
+  const newer = override || (b.updatedAt ?? "") > (a.updatedAt ?? "") ? b : a;
+  const older = newer === a ? b : a;
+
+  const deleted = { ...older.deleted };
+  for (const [id, at] of Object.entries(newer.deleted || {})) {
+    if (!deleted[id] || at > deleted[id]) deleted[id] = at;
+  }
+  const cutoff = new Date(now.getTime() - TOMBSTONE_DAYS * 86400000).toISOString();
+  for (const [id, at] of Object.entries(deleted)) if (at < cutoff) delete deleted[id];
+
+  const byId = (kind, older, newer) => {
+    const out = new Map(older.map(r => [r.id, r]));
+    newer.forEach(r => out.set(r.id, r));
+    return [...out.values()].filter(r => !deleted[`${kind}:${r.id}`]);
+  };
+
+  const markets = { ...older.markets };
+  for (const [id, m] of Object.entries(newer.markets || {})) {
+    if (override || !markets[id] || (m.savedAt ?? "") >= (markets[id].savedAt ?? "")) markets[id] = m;
+  }
+
+  return {
+    ...newer,
+    settings: newer.settings,
+    markets,
+    holdings: {
+      transactions: byId("transactions", older.holdings.transactions, newer.holdings.transactions),
+      targetValue: newer.holdings.targetValue
+    },
+    sip: { plan: newer.sip.plan, log: byId("sipLog", older.sip.log, newer.sip.log) },
+    journal: byId("journal", older.journal, newer.journal),
+    deleted
+  };
+}
+
+// Same content regardless of key order (documents built on different devices order keys differently).
+export function sameState(a, b) {
+  const canonical = (v) => Array.isArray(v) ? v.map(canonical)
+    : v && typeof v === "object" ? Object.fromEntries(Object.keys(v).sort().map(k => [k, canonical(v[k])]))
+    : v;
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+/* -------------------- sync envelope -------------------- */
+
+// /api/sync only ever sees { id, envelope }: the id is derived from the passphrase, and the document is encrypted
+// with AES-GCM under a key derived from the same passphrase (PBKDF2, a fresh salt per upload). Losing the
+// passphrase loses the synced copy; each device still has its own.
+
+export const MIN_PASSPHRASE_LENGTH = 12;
+export const SYNC_ID_PATTERN = /^[0-9a-f]{64}$/;
+const PBKDF2_ITERATIONS = 200000;
+const ID_SALT = "gold-decision-radar:sync-id";
+
+// Chunked so a large journal does not overflow String.fromCharCode's argument limit.
+function toB64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+const fromB64 = (s) => Uint8Array.from(atob(s), c => c.charCodeAt(0));
+
+async function pbkdf2(passphrase, salt, usage) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits", "deriveKey"]);
+  const params = { name: "PBKDF2", hash: "SHA-256", salt, iterations: PBKDF2_ITERATIONS };
+  if (usage === "id") return new Uint8Array(await crypto.subtle.deriveBits(params, material, 256));
+  return crypto.subtle.deriveKey(params, material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+export async function syncId(passphrase) {
+  const bits = await pbkdf2(passphrase, new TextEncoder().encode(ID_SALT), "id");
+  return [...bits].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function sealState(state, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await pbkdf2(passphrase, salt, "key");
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(state))));
+  return { v: 1, salt: toB64(salt), iv: toB64(iv), data: toB64(data) };
+}
+
+// Throws "wrong passphrase" when the envelope does not decrypt.
+export async function openState(envelope, passphrase) {
+  const key = await pbkdf2(passphrase, fromB64(envelope.salt), "key");
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromB64(envelope.iv) }, key, fromB64(envelope.data));
+  } catch (e) {
+    throw new Error("wrong passphrase");
+  }
+  return migrateState(JSON.parse(new TextDecoder().decode(plain)));
+}
+
+export function validateEnvelope(envelope) {
+  const errors = [];
+  if (!envelope || typeof envelope !== "object") return { ok: false, errors: ["envelope must be an object"] };
+  if (envelope.v !== 1) errors.push("envelope.v must be 1");
+  for (const key of ["salt", "iv", "data"]) {
+    if (typeof envelope[key] !== "string" || !/^[A-Za-z0-9+/]+={0,2}$/.test(envelope[key])) errors.push(`envelope.${key} must be base64`);
+  }
+  return { ok: errors.length === 0, errors };
+}
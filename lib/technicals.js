@@ -0,0 +1,128 @@
+/* -------------------- technical timing -------------------- */
+
+// The timing overlay next to RSI(14): MACD, Bollinger %B, 20/50/200-day SMA crossovers and ATR volatility from
+// SETFGOLD's daily bars. Each indicator gets a timing label and votes +1 (better entry), 0 (neutral) or −1 (wait);
+// the weighted mean is the verdict. Like RSI it is timing only and never changes the core score.
+// Single source for /api/market (technicalTiming*) and index.html; keep this file free of DOM and Worker-only APIs.
+
+import { atrVolatility, bollinger, macd, pctFrom, smaCrossover } from "./indicators.js";
+
+export const TIMING_VERDICTS = ["good", "neutral", "wait"];
+
+export const TIMING_VERDICT_TEXT = {
+  good: "Good entry timing",
+  neutral: "Neutral timing",
+  wait: "Wait for a better entry",
+  unknown: "Not enough price history"
+};
+
+export const TECHNICAL_CONFIG = {
+  macd: { weight: 1, fast: 12, slow: 26, signal: 9 },
+  // %B at or below lowMax is a pullback to the lower band; at or above highMin the price is stretched.
+  bollinger: { weight: 1, period: 20, width: 2, lowMax: 0.2, highMin: 0.8 },
+  // A cross within lookback sessions outweighs the standing order of the averages.
+  dma: { weight: 1, short: 20, medium: 50, long: 200, lookback: 10 },
+  // ATR as a % of price, ranked against its last `window` sessions: from highPctile up, entries are better staggered.
+  atr: { weight: 1, period: 14, window: 120, highPctile: 80 },
+  verdict: { goodMin: 0.34, waitMax: -0.34 }
+};
+
+// bars: { closes, highs, lows }, same length, oldest first. The raw values the factor store caches; any entry is
+// null when the history is too short for it.
+export function technicalIndicators({ closes = [], highs = [], lows = [] } = {}, config = TECHNICAL_CONFIG) {
+  const { macd: m, bollinger: b, dma: d, atr: a } = config;
+  return {
+    close: closes.length ? closes[closes.length - 1] : null,
+    macd: macd(closes, m.fast, m.slow, m.signal),
+    bollinger: bollinger(closes, b.period, b.width),
+    dmaShort: smaCrossover(closes, d.short, d.medium, d.lookback),
+    dmaLong: smaCrossover(closes, d.medium, d.long, d.lookback),
+    atr: atrVolatility(highs, lows, closes, a.period, a.window)
+  };
+}
+
+// indicators: technicalIndicators() output; asOf: the date of the last bar.
+// Returns { verdict: good | neutral | wait | unknown, score, reason, components: [{ input, value, label, vote, weight, asOf, reason }] }.
+export function computeTechnicalTiming(indicators = {}, asOf = null, config = TECHNICAL_CONFIG) {
+  const components = [];
+  const add = (input, value, vote, label, reason) => {
+    components.push({ input, value, label, vote, weight: config[input].weight, asOf, reason: `${reason} – ${lowerFirst(label)}` });
+  };
+
+  const m = indicators.macd;
+  if (m && Number.isFinite(m.histogram)) {
+    const rising = m.histogram >= m.prevHistogram;
+    let vote = 0;
+    let label = m.histogram > 0 ? "Momentum positive but fading" : "Momentum negative but recovering";
+    if (m.histogram > 0 && m.prevHistogram <= 0) [vote, label] = [1, "Crossed above signal"];
+    else if (m.histogram < 0 && m.prevHistogram >= 0) [vote, label] = [-1, "Crossed below signal"];
+    else if (m.histogram > 0 && rising) [vote, label] = [1, "Momentum improving"];
+    else if (m.histogram < 0 && !rising) [vote, label] = [-1, "Momentum weakening"];
+    add("macd", m.histogram, vote, label, `MACD histogram ${signed(m.histogram, 3)}`);
+  }
+
+  const b = indicators.bollinger;
+  if (b && Number.isFinite(b.percentB)) {
+    const c = config.bollinger;
+    const [vote, label] = b.percentB <= c.lowMax ? [1, b.percentB < 0 ? "Below the lower band" : "Pullback to the lower band"]
+      : b.percentB >= c.highMin ? [-1, b.percentB > 1 ? "Above the upper band" : "Stretched toward the upper band"]
+      : [0, "Inside the bands"];
+    add("bollinger", b.percentB, vote, label, `Bollinger %B ${b.percentB.toFixed(2)}`);
+  }
+
+  const short = indicators.dmaShort;
+  const long = indicators.dmaLong;
+  if (short) {
+    const c = config.dma;
+    const cross = long?.crossed ? { ...long, pair: `${c.medium}/${c.long}` } : short.crossed ? { ...short, pair: `${c.short}/${c.medium}` } : null;
+    let vote = 0;
+    let label = "Mixed trend";
+    if (cross) {
+      vote = cross.crossed === "golden" ? 1 : -1;
+      const ago = cross.sessionsAgo === 0 ? "today" : `${cross.sessionsAgo} session${cross.sessionsAgo === 1 ? "" : "s"} ago`;
+      label = `${cross.crossed === "golden" ? "Golden" : "Death"} cross ${cross.pair} ${ago}`;
+    } else if (short.above && (long?.above ?? true)) {
+      [vote, label] = [1, long ? `Uptrend (${c.short} > ${c.medium} > ${c.long} DMA)` : `Uptrend (${c.short} > ${c.medium} DMA)`];
+    } else if (!short.above && !(long?.above ?? false)) {
+      [vote, label] = [-1, long ? `Downtrend (${c.short} < ${c.medium} < ${c.long} DMA)` : `Downtrend (${c.short} < ${c.medium} DMA)`];
+    }
+    // value: the medium average's gap to the long one in % (to the short one's when 200 days are not available).
+    const value = long ? pctFrom(long.fast, long.slow) : pctFrom(short.fast, short.slow);
+    add("dma", value, vote, label, `${long ? `${c.medium}D vs ${c.long}D` : `${c.short}D vs ${c.medium}D`} ${signed(value, 2)}%`);
+  }
+
+  const a = indicators.atr;
+  if (a && Number.isFinite(a.atrPct)) {
+    const high = a.percentile >= config.atr.highPctile;
+    add("atr", a.atrPct, high ? -1 : 0, high ? "Volatility high, stagger entries" : "Volatility normal",
+      `ATR ${a.atrPct.toFixed(2)}% of price (percentile ${Math.round(a.percentile)})`);
+  }
+
+  if (!components.length) {
+    return { verdict: "unknown", score: null, reason: TIMING_VERDICT_TEXT.unknown, components };
+  }
+
+  const totalWeight = components.reduce((s, c) => s + c.weight, 0);
+  const score = round2(components.reduce((s, c) => s + c.vote * c.weight, 0) / totalWeight);
+  const verdict = score >= config.verdict.goodMin ? "good" : (score <= config.verdict.waitMax ? "wait" : "neutral");
+
+  return {
+    verdict,
+    score,
+    reason: components.map(c => c.reason).join("; "),
+    components
+  };
+}
+
+// "Uptrend (20 > 50 DMA)" → "uptrend (20 > 50 DMA)"; a leading acronym is kept.
+function lowerFirst(text) {
+  return /^[A-Z][a-z]/.test(text) ? text[0].toLowerCase() + text.slice(1) : text;
+}
+
+function signed(v, digits) {
+  return Number.isFinite(v) ? `${v >= 0 ? "+" : ""}${v.toFixed(digits)}` : "—";
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
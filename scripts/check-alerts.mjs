@@ -0,0 +1,86 @@
+// Runs the alert cycle (functions/_lib/alert-runner.js) against two stored market payloads with an in-memory
+// store and the real Web Push sender over a fake fetch: rules must fire once when their condition turns true
+// and stay quiet while it holds, and a 404 / 410 from the push service must remove the subscription.
+// Run from the repo root with Node 18+: node scripts/check-alerts.mjs
+import { readFile } from "node:fs/promises";
+import { INBOX_PREFIX, SUB_PREFIX, runAlertCycle, saveSubscription, subscriptionId } from "../functions/_lib/alert-runner.js";
+import { memoryStore } from "../functions/_lib/store.js";
+import { bytesToBase64Url, createWebPushSender } from "../functions/_lib/webpush.js";
+
+let failures = 0;
+const expect = (ok, label, detail = "") => {
+  console.log(`${ok ? "ok  " : "FAIL"} ${label}${ok || !detail ? "" : `\n     ${detail}`}`);
+  if (!ok) failures++;
+};
+
+const fixture = JSON.parse(await readFile(new URL("../fixtures/contract/market.v16.json", import.meta.url), "utf8"));
+// calm: HOLD, RSI 50, USD/INR flat. moved: BUY on cheaper gold, softer yields and a weaker rupee, RSI 72.
+const calm = { ...fixture, rsi14Setfgold: 50, usdInrChangePct30d: 0.1, usdInrTrend: "stable" };
+const moved = { ...fixture, rsi14Setfgold: 72, usdInrChangePct30d: 1.2, usdInrTrend: "weakening", realYield: 0.5, dxy: 96, setfGoldPctile1y: 15 };
+
+const rules = [
+  { id: "to-buy", type: "action_change", to: "BUY" },
+  { id: "score-80", type: "score_cross", level: 80, direction: "above" },
+  { id: "rsi-70", type: "rsi_band", level: 70, direction: "above" },
+  { id: "inr-1", type: "usdinr_move", thresholdPct: 1 }
+];
+
+/* -------------------- fake push service -------------------- */
+
+const pair = await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, ["sign", "verify"]);
+const publicKey = bytesToBase64Url(new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey)));
+const privateKey = (await crypto.subtle.exportKey("jwk", pair.privateKey)).d;
+
+const STATUS = { "https://push.example/ok": 201, "https://push.example/gone": 410, "https://push.example/missing": 404 };
+const pushes = [];
+const sender = createWebPushSender({
+  publicKey,
+  privateKey,
+  subject: "mailto:alerts@example.com",
+  fetchImpl: async (url, init) => {
+    pushes.push({ url: String(url), authorization: init.headers.authorization });
+    return new Response(null, { status: STATUS[url] ?? 500 });
+  }
+});
+
+const store = memoryStore();
+for (const endpoint of Object.keys(STATUS)) {
+  await saveSubscription(store, { subscription: { endpoint, keys: {} }, rules, profileId: "default", geoRisk: null });
+}
+const okId = await subscriptionId("https://push.example/ok");
+
+/* -------------------- cycles -------------------- */
+
+const inbox = async () => ((await store.get(INBOX_PREFIX + okId)) || []).map(m => m.ruleId);
+const cycle = async (market) => {
+  pushes.length = 0;
+  const before = (await inbox()).length;
+  const summary = await runAlertCycle({ store, market, sender });
+  return { summary, fired: (await inbox()).slice(before) };
+};
+
+let r = await cycle(calm);
+expect(r.summary.checked === 3 && r.summary.fired === 0 && pushes.length === 0, "calm market: nothing fires", JSON.stringify(r.summary));
+
+r = await cycle(moved);
+expect(JSON.stringify(r.fired) === JSON.stringify(rules.map(x => x.id)), "conditions turn true: every rule fires once", JSON.stringify(r.fired));
+expect(pushes.length === 3 && pushes.every(p => p.authorization.startsWith("vapid t=")), "each subscription gets one signed push");
+expect(r.summary.pushed === 1 && r.summary.removed === 2, "404 and 410 count as gone", JSON.stringify(r.summary));
+const left = await store.list(SUB_PREFIX);
+const inboxes = await store.list(INBOX_PREFIX);
+expect(left.length === 1 && left[0] === SUB_PREFIX + okId && inboxes.length === 1, "gone subscriptions and their inboxes are removed", JSON.stringify({ left, inboxes }));
+
+r = await cycle(moved);
+expect(r.fired.length === 0 && pushes.length === 0, "conditions still true: nothing fires again", JSON.stringify(r.fired));
+
+r = await cycle(calm);
+expect(r.fired.length === 0 && pushes.length === 0, "back to calm (BUY → HOLD does not match to-BUY): nothing fires", JSON.stringify(r.fired));
+
+r = await cycle(moved);
+expect(JSON.stringify(r.fired) === JSON.stringify(rules.map(x => x.id)) && pushes.length === 1, "true again after being false: every rule fires again", JSON.stringify(r.fired));
+
+if (failures) {
+  console.error(`${failures} alert check(s) failed`);
+  process.exit(1);
+}
+console.log("alert cycle ok");
@@ -0,0 +1,121 @@
+// Replays the core score over the committed fixtures in fixtures/backtest (lib/backtest.js) and checks the
+// replay rows, the per-band statistics and the equity curves, plus /api/backtest and /api/sip?source=fixtures
+// served through a fake ASSETS binding. The figures are checked as invariants, so a fresh recording passes too.
+// Run from the repo root with Node 18+: node scripts/check-backtest.mjs
+import { readFile } from "node:fs/promises";
+import { FIXTURE_FILES, HORIZONS, buildReplayRows, loadFixtureSeries, runBacktest } from "../lib/backtest.js";
+import { onRequestGet as backtestGet } from "../functions/api/backtest.js";
+import { onRequestGet as sipGet } from "../functions/api/sip.js";
+
+let failures = 0;
+const expect = (ok, label, detail = "") => {
+  console.log(`${ok ? "ok  " : "FAIL"} ${label}${ok || !detail ? "" : `\n     ${detail}`}`);
+  if (!ok) failures++;
+};
+const near = (a, b, tolerance = 0.01) => Number.isFinite(a) && Math.abs(a - b) <= tolerance;
+const round = (n) => Math.round(n * 100) / 100;
+
+const readText = (path) => readFile(new URL(`..${path}`, import.meta.url), "utf8");
+
+/* -------------------- fixtures -------------------- */
+
+const series = await loadFixtureSeries(readText);
+for (const key of Object.keys(FIXTURE_FILES)) {
+  const s = series[key];
+  const ascending = s.every((p, i) => i === 0 || p.date > s[i - 1].date);
+  expect(s.length > 0 && ascending && s.every(p => Number.isFinite(p.value)), `${key} parses to an ascending daily series`, `${s.length} points`);
+}
+const gold = series.setfgold;
+expect(gold.length > 252 + HORIZONS["6m"], "SETFGOLD covers a 1-year percentile window plus the 6-month horizon", `${gold.length} closes`);
+
+/* -------------------- replay rows -------------------- */
+
+const rows = buildReplayRows(series);
+expect(rows.length === gold.length && rows.every((r, i) => r.date === gold[i].date && r.close === gold[i].value),
+  "one replay row per SETFGOLD trading day");
+expect(rows.slice(0, 59).every(r => r.action === null), "days before the 60th close are not scored");
+const covered = Math.max(...["dxy", "usdInr", "realYield"].map(k => rows.findIndex(r => r.date >= series[k][0].date)), 59);
+expect(rows.slice(covered + 22).every(r => ["BUY", "HOLD", "WAIT", "TRIM"].includes(r.action) && Number.isFinite(r.total)),
+  "once every series has a value (and 30 days of USD/INR), each day has an action");
+
+const from = rows[200].date;
+const to = rows[320].date;
+const ranged = buildReplayRows(series, { from, to });
+expect(ranged.length === 121 && ranged[0].date === from && ranged[ranged.length - 1].date === to, "from / to limit the replay days");
+expect(ranged.every((r, i) => r.total === rows[200 + i].total), "the percentile still uses the closes before from");
+const high = buildReplayRows(series, { geoRisk: "high" });
+expect(high.slice(covered + 22).every((r, i) => r.total >= rows[covered + 22 + i].total), "a higher geo risk never lowers the score");
+
+/* -------------------- statistics -------------------- */
+
+const result = runBacktest(rows);
+const scored = rows.filter(r => r.action);
+const bands = Object.values(result.bands);
+expect(result.period.from === rows[0].date && result.period.to === rows[rows.length - 1].date &&
+  result.period.tradingDays === rows.length && result.period.scoredDays === scored.length, "period covers every row", JSON.stringify(result.period));
+expect(bands.reduce((s, b) => s + b.days, 0) === scored.length && near(bands.reduce((s, b) => s + b.sharePct, 0), 100, 0.05),
+  "band days add up to the scored days");
+
+for (const [name, h] of Object.entries(HORIZONS)) {
+  const samples = rows.filter((r, i) => r.action && i + h < rows.length).length;
+  expect(bands.reduce((s, b) => s + b.horizons[name].n, 0) === samples, `${name}: every scored day with ${h} days ahead is one sample`);
+}
+
+// HOLD at 1 month, recomputed directly.
+const holdReturns = rows.flatMap((r, i) => (r.action === "HOLD" && i + 21 < rows.length ? [(rows[i + 21].close - r.close) / r.close * 100] : []));
+const hold1m = result.bands.HOLD.horizons["1m"];
+if (holdReturns.length) {
+  expect(near(hold1m.avgReturnPct, holdReturns.reduce((a, b) => a + b, 0) / holdReturns.length) &&
+    near(hold1m.hitRatePct, holdReturns.filter(x => x > 0).length / holdReturns.length * 100),
+  "HOLD 1m average return and hit rate match a direct count", JSON.stringify(hold1m));
+}
+expect(bands.every(b => Object.values(b.horizons).every(s => s.n === 0 || (s.worstDrawdownPct <= s.avgMaxDrawdownPct && s.avgMaxDrawdownPct <= 0))),
+  "forward drawdowns are never positive and the worst is at or below the average");
+
+const first = rows[0].close;
+const last = rows[rows.length - 1].close;
+expect(near(result.benchmark.totalReturnPct, round((last / first - 1) * 100)) && result.benchmark.exposurePct === 100,
+  "buy-and-hold returns last / first close", JSON.stringify(result.benchmark));
+const invested = rows.slice(0, -1).filter(r => r.action === "BUY" || r.action === "HOLD").length;
+expect(near(result.strategy.exposurePct, round(invested / (rows.length - 1) * 100)), "strategy exposure counts BUY / HOLD days", JSON.stringify(result.strategy));
+
+/* -------------------- hand-built case -------------------- */
+
+const tiny = runBacktest([
+  { date: "2026-01-01", close: 100, action: "BUY" },
+  { date: "2026-01-02", close: 110, action: "WAIT" },
+  { date: "2026-01-05", close: 99, action: "BUY" },
+  { date: "2026-01-06", close: 121, action: null }
+], { horizons: { "1d": 1 } });
+const buy = tiny.bands.BUY.horizons["1d"];
+const wait = tiny.bands.WAIT.horizons["1d"];
+expect(buy.n === 2 && near(buy.avgReturnPct, 16.11) && buy.hitRatePct === 100 && wait.n === 1 && wait.avgReturnPct === -10 && wait.hitRatePct === 100,
+  "BUY +10% / +22.2% and WAIT −10% are scored as hits", JSON.stringify({ buy, wait }));
+expect(tiny.strategy.totalReturnPct === 34.44 && tiny.strategy.maxDrawdownPct === 0 && near(tiny.strategy.exposurePct, 66.67),
+  "the strategy sits out the WAIT day", JSON.stringify(tiny.strategy));
+expect(tiny.benchmark.totalReturnPct === 21 && tiny.benchmark.maxDrawdownPct === -10, "buy-and-hold keeps the −10% day", JSON.stringify(tiny.benchmark));
+
+/* -------------------- endpoints -------------------- */
+
+const env = {
+  ASSETS: {
+    fetch: async (url) => readText(new URL(url).pathname).then(text => new Response(text), () => new Response("", { status: 404 }))
+  }
+};
+const call = async (handler, path) => {
+  const res = await handler({ env, request: new Request(`https://radar.example${path}`) });
+  return { status: res.status, body: await res.json() };
+};
+
+const bt = await call(backtestGet, `/api/backtest?from=${from}`);
+expect(bt.status === 200 && bt.body.period.from === from && bt.body.assumptions.source === "fixtures", "/api/backtest replays the fixtures",
+  JSON.stringify({ status: bt.status, error: bt.body.error, period: bt.body.period }));
+const sip = await call(sipGet, "/api/sip?source=fixtures&base=10000&day=5");
+expect(sip.status === 200 && sip.body.assumptions.source === "fixtures" && sip.body.radar?.invested > 0 && sip.body.flat?.invested > 0,
+  "/api/sip?source=fixtures simulates over the fixtures", JSON.stringify({ status: sip.status, error: sip.body.error ?? sip.body.message }));
+
+if (failures) {
+  console.error(`${failures} backtest check(s) failed`);
+  process.exit(1);
+}
+console.log("backtest replay ok");
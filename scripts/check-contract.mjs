@@ -0,0 +1,55 @@
+// Checks the /api/market contract against the payloads in fixtures/contract/ (one per supported version):
+// each fixture must pass its own schema, the current one must downgrade to every older fixture's schema,
+// and the page client must null out a broken field without dropping the rest.
+// Run from the repo root with Node 18+: node scripts/check-contract.mjs
+import { readFile } from "node:fs/promises";
+import { CONTRACT_VERSION, SUPPORTED_CONTRACT_VERSIONS, downgradeMarket, marketSchema, parseContractVersion, validateAgainstSchema } from "../lib/contract.js";
+import { readMarket } from "../lib/market-client.js";
+
+const fixtureDir = new URL("../fixtures/contract/", import.meta.url);
+const load = async (v) => JSON.parse(await readFile(new URL(`market.v${v}.json`, fixtureDir), "utf8"));
+
+let failures = 0;
+const expect = (ok, label, detail = "") => {
+  console.log(`${ok ? "ok  " : "FAIL"} ${label}${ok || !detail ? "" : `\n     ${detail}`}`);
+  if (!ok) failures++;
+};
+
+const current = await load(CONTRACT_VERSION);
+
+for (const v of SUPPORTED_CONTRACT_VERSIONS) {
+  const fixture = await load(v);
+  const own = validateAgainstSchema(marketSchema(v), fixture);
+  expect(own.ok && fixture.contractVersion === v, `market.v${v}.json matches schema v${v}`, own.errors.slice(0, 5).join("; "));
+
+  const downgraded = downgradeMarket(current, v);
+  const check = validateAgainstSchema(marketSchema(v), downgraded);
+  expect(check.ok, `v${CONTRACT_VERSION} payload downgraded to v${v} matches schema v${v}`, check.errors.slice(0, 5).join("; "));
+  expect(JSON.stringify(downgraded) === JSON.stringify(fixture), `v${CONTRACT_VERSION} payload downgraded to v${v} equals market.v${v}.json`);
+}
+
+for (const v of SUPPORTED_CONTRACT_VERSIONS.filter(v => v < CONTRACT_VERSION)) {
+  const check = validateAgainstSchema(marketSchema(v + 1), await load(v));
+  expect(!check.ok, `market.v${v}.json is rejected by schema v${v + 1}`);
+}
+
+expect(parseContractVersion("6") === 6 && parseContractVersion("5") === null && parseContractVersion(null) === CONTRACT_VERSION,
+  "?v= accepts the original v6 and nothing older");
+const v8 = downgradeMarket({ ...current, realYield: 1.1 }, 8);
+expect(v8.fedSignal === "dovish" && v8.fedSignalScore === 1 && v8.freshness.fedSignal.basis === "realYield",
+  "v8 and earlier get the real-yield-only Fed signal", JSON.stringify({ signal: v8.fedSignal, score: v8.fedSignalScore }));
+
+const broken = { ...current, dxy: "98.7", quality: undefined, instruments: [current.instruments[0], { id: 7 }] };
+const { data, problems } = readMarket(broken);
+expect(data.dxy === null && data.usdInr === current.usdInr, "client nulls a mistyped field and keeps the rest", problems.join("; "));
+expect(typeof data.quality === "object" && data.quality !== null, "client fills a missing object field");
+expect(data.instruments.length === 1 && problems.some(p => p.startsWith("$.instruments[1]")), "client drops a malformed array item");
+
+const oldClient = readMarket(await load(10));
+expect(oldClient.version === 10 && oldClient.problems.length === 0 && oldClient.data.goldSpotUsd === undefined, "client reads a v10 payload as v10");
+
+if (failures) {
+  console.error(`${failures} contract check(s) failed`);
+  process.exit(1);
+}
+console.log("contract fixtures ok");
@@ -0,0 +1,51 @@
+// Checks the derived geo-risk level (lib/georisk.js): each proxy's calm / elevated / stressed vote, the
+// gold-vs-DXY co-movement (a safe-haven bid needs both to rise) and the weighted level.
+// Run from the repo root with Node 18+: node scripts/check-georisk.mjs
+import { GEO_CONFIG, computeGeoRisk } from "../lib/georisk.js";
+
+let failures = 0;
+const expect = (ok, label, detail = "") => {
+  console.log(`${ok ? "ok  " : "FAIL"} ${label}${ok || !detail ? "" : `\n     ${detail}`}`);
+  if (!ok) failures++;
+};
+
+const component = (inputs, input) => computeGeoRisk(inputs).components.find(c => c.input === input);
+
+/* -------------------- gold vs DXY -------------------- */
+
+const move = (goldChangePct, dxyChangePct) => component({ goldChangePct, dxyChangePct }, "goldDxyDivergence");
+
+const rally = move(6, -1);
+expect(rally.value === 0 && rally.vote === 0, "gold +6% on a weaker dollar (−1%) is calm", JSON.stringify(rally));
+expect(move(8, -3).vote === 0, "a bigger rally on a falling dollar is still calm");
+expect(move(-2, 3).vote === 0 && move(-2, -2).vote === 0, "gold falling, with either dollar move, is calm");
+
+const both = move(3, 1.5);
+expect(both.value === 1.5 && both.vote === 1 && both.reason === "Gold +3.0% with DXY +1.5% over 20d – elevated",
+  "gold +3% with DXY +1.5% is elevated, scored on the smaller rise", JSON.stringify(both));
+expect(move(4, 3).vote === 2 && move(3, 4).vote === 2, "both up 3% or more is stressed, in either order");
+expect(move(5, 0.5).vote === 0, "a token dollar rise does not lift a gold rally");
+expect(move(GEO_CONFIG.goldDxyDivergence.elevatedMin, 2).vote === 1 && move(2, GEO_CONFIG.goldDxyDivergence.stressedMin).vote === 1,
+  "thresholds apply to the smaller move");
+expect(!component({ goldChangePct: 3 }, "goldDxyDivergence"), "no DXY move: the proxy is left out");
+
+/* -------------------- other proxies and the level -------------------- */
+
+expect(component({ vix: 17.9 }, "vix").vote === 0 && component({ vix: 18 }, "vix").vote === 1 && component({ vix: 25 }, "vix").vote === 2,
+  "VIX: calm below 18, elevated from 18, stressed from 25");
+expect(component({ oilVolatility: 50 }, "oilVolatility").vote === 2 && component({ goldVolatility: 16 }, "goldVolatility").vote === 1,
+  "volatility proxies use their own thresholds");
+
+const calm = computeGeoRisk({ vix: 14, goldVolatility: 12, oilVolatility: 25, goldChangePct: 6, dxyChangePct: -1 });
+expect(calm.level === "low" && calm.score === 0 && calm.confidence === "high", "calm proxies and a weak-dollar gold rally: low", JSON.stringify(calm));
+const stress = computeGeoRisk({ vix: 30, goldVolatility: 20, oilVolatility: 40, goldChangePct: 4, dxyChangePct: 3 });
+expect(stress.level === "high" && stress.score === 1.6, "stressed VIX with gold and the dollar both rising: high", JSON.stringify({ level: stress.level, score: stress.score }));
+const medium = computeGeoRisk({ vix: 19.4, goldVolatility: 18.2, oilVolatility: 31.5, goldChangePct: 3.1, dxyChangePct: 1.2 });
+expect(medium.level === "medium" && medium.score === 0.8, "the contract fixture's proxies give medium at 0.8", JSON.stringify({ level: medium.level, score: medium.score }));
+expect(computeGeoRisk({ vix: 20 }).confidence === "low" && computeGeoRisk({}).level === "unknown", "one proxy is low confidence; none is unknown");
+
+if (failures) {
+  console.error(`${failures} geo-risk check(s) failed`);
+  process.exit(1);
+}
+console.log("geo risk ok");
@@ -0,0 +1,141 @@
+// Checks the data-provider layer (functions/_lib/providers.js) with an injected fake fetch: retries, the
+// per-host circuit breaker, the rate-limited cross-check and the structured error record runChain returns
+// when every provider fails.
+// Run from the repo root with Node 18+: node scripts/check-providers.mjs
+import { createCircuitBreaker, createHttpClient, runChain } from "../functions/_lib/providers.js";
+import { createValidator } from "../functions/_lib/validation.js";
+
+let failures = 0;
+const expect = (ok, label, detail = "") => {
+  console.log(`${ok ? "ok  " : "FAIL"} ${label}${ok || !detail ? "" : `\n     ${detail}`}`);
+  if (!ok) failures++;
+};
+
+// routes: { host: (url, calls) => Response | Promise that never settles }. Counts calls per host.
+function fakeFetch(routes) {
+  const calls = {};
+  const fetchImpl = async (url) => {
+    const host = new URL(url).host;
+    calls[host] = (calls[host] ?? 0) + 1;
+    return routes[host](url, calls[host]);
+  };
+  return { fetchImpl, calls };
+}
+const hang = () => new Promise(() => {});
+const ok = (body) => () => new Response(JSON.stringify(body), { status: 200 });
+const status = (code) => () => new Response("", { status: code });
+
+const provider = (id, url) => ({
+  id,
+  run: async (http) => {
+    const j = await http.json(url, { label: id });
+    return { value: j.value, asOf: new Date().toISOString(), source: { provider: id } };
+  }
+});
+const chainOpts = (http) => ({ http, validator: null });
+
+/* -------------------- retries -------------------- */
+
+{
+  const { fetchImpl, calls } = fakeFetch({ "slow.example": hang, "fast.example": ok({ value: 42 }) });
+  const http = createHttpClient({ fetchImpl, breaker: createCircuitBreaker(), timeoutMs: 20, sleep: async () => {} });
+  const out = await runChain("x", [provider("slow", "https://slow.example/q"), provider("fast", "https://fast.example/q")], chainOpts(http));
+  expect(calls["slow.example"] === 2 && out.value === 42 && out.source.provider === "fast",
+    "a timeout is retried once, then the next provider answers", JSON.stringify({ calls, out }));
+}
+
+{
+  const { fetchImpl, calls } = fakeFetch({ "gone.example": status(404), "flaky.example": (url, n) => (n === 1 ? status(503)() : ok({ value: 7 })()) });
+  const breaker = createCircuitBreaker();
+  const http = createHttpClient({ fetchImpl, breaker, sleep: async () => {} });
+  const out = await runChain("x", [provider("gone", "https://gone.example/q"), provider("flaky", "https://flaky.example/q")], chainOpts(http));
+  expect(calls["gone.example"] === 1, "a 4xx is not retried", JSON.stringify(calls));
+  expect(calls["flaky.example"] === 2 && out.value === 7, "a 5xx is retried and the retry can succeed", JSON.stringify({ calls, out }));
+  expect(breaker.state("gone.example") === "closed", "a 4xx does not count toward the breaker");
+}
+
+/* -------------------- circuit breaker -------------------- */
+
+{
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => clock });
+  let healthy = false;
+  let release = null;
+  const { fetchImpl, calls } = fakeFetch({
+    "down.example": () => (!healthy ? status(500)() : new Promise(resolve => { release = () => resolve(ok({ value: 1 })()); }))
+  });
+  const http = createHttpClient({ fetchImpl, breaker, retries: 0, sleep: async () => {} });
+  const call = () => http.json("https://down.example/q").then(() => "ok", e => e.code);
+
+  const codes = [await call(), await call()];
+  expect(breaker.state("down.example") === "closed", "two failures leave the circuit closed");
+  codes.push(await call());
+  expect(codes.every(c => c === "http_error") && breaker.state("down.example") === "open", "the third failure opens the circuit", JSON.stringify(codes));
+
+  const skipped = await call();
+  expect(skipped === "circuit_open" && calls["down.example"] === 3, "an open circuit skips the host without calling it");
+
+  clock = 1000;
+  healthy = true;
+  expect(breaker.state("down.example") === "half-open", "after the cooldown the circuit is half-open");
+  const trial = call();
+  const concurrent = await call();
+  expect(concurrent === "circuit_open" && calls["down.example"] === 4, "half-open lets one trial call through, concurrent calls are skipped",
+    JSON.stringify({ concurrent, calls }));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  release();
+  expect(await trial === "ok" && breaker.state("down.example") === "closed", "a successful trial closes the circuit");
+
+  healthy = false;
+  for (let i = 0; i < 3; i++) await call();
+  clock = 2500;
+  const failedTrial = await call();
+  expect(failedTrial === "http_error" && breaker.state("down.example") === "open", "a failed trial opens the circuit again");
+}
+
+/* -------------------- cross-check -------------------- */
+
+{
+  let clock = 0;
+  const { fetchImpl, calls } = fakeFetch({ "yahoo.example": ok({ value: 99.1 }), "stooq.example": ok({ value: 99.3 }) });
+  const http = createHttpClient({ fetchImpl, breaker: createCircuitBreaker(), sleep: async () => {} });
+  const chain = [provider("yahoo:DX", "https://yahoo.example/q"), provider("stooq:DX", "https://stooq.example/q")];
+  const opts = { http, validator: createValidator("dxy"), crossChecks: new Map(), now: () => clock };
+
+  const first = await runChain("dxy", chain, opts);
+  expect(first.validation?.confidence === "high" && calls["stooq.example"] === 1, "the winner is cross-checked against the other source", JSON.stringify(first.validation));
+
+  clock = 59 * 60 * 1000;
+  const second = await runChain("dxy", chain, opts);
+  expect(calls["stooq.example"] === 1 && second.validation?.confidence === "high" && second.validation.checks.some(c => c.includes("reused")),
+    "inside the stale window the stored cross-check is reused", JSON.stringify(second.validation));
+
+  clock = 60 * 60 * 1000;
+  await runChain("dxy", chain, opts);
+  expect(calls["stooq.example"] === 2, "after the window the second source is asked again");
+
+  const noTolerance = await runChain("setfGoldPrice", [provider("yahoo:S", "https://yahoo.example/q"), provider("stooq:S", "https://stooq.example/q")],
+    { ...opts, validator: createValidator("setfGoldPrice") });
+  expect(calls["stooq.example"] === 2 && noTolerance.validation?.confidence === "medium", "a factor without a tolerance is not cross-checked");
+}
+
+/* -------------------- error record -------------------- */
+
+{
+  const { fetchImpl } = fakeFetch({ "a.example": status(404), "b.example": () => new Response("not json", { status: 200 }) });
+  const http = createHttpClient({ fetchImpl, breaker: createCircuitBreaker(), sleep: async () => {} });
+  const out = await runChain("dxy", [provider("yahoo:A", "https://a.example/q"), provider("stooq:B", "https://b.example/q")], chainOpts(http));
+  const e = out.error;
+  expect(out.value === null && out.asOf === null && out.source.provider === "yahoo:A → stooq:B", "a failed chain returns an empty factor");
+  expect(e?.factor === "dxy" && e.code === "parse_error" && typeof e.message === "string" && typeof e.at === "string",
+    "the error record carries factor, the last code, message and time", JSON.stringify(e));
+  const [a, b] = e?.attempts ?? [];
+  expect(a?.provider === "yahoo:A" && a.code === "http_error" && a.status === 404 && a.host === "a.example" && a.tries === 1 &&
+    b?.provider === "stooq:B" && b.code === "parse_error", "each attempt records provider, code, host, status and tries", JSON.stringify(e?.attempts));
+}
+
+if (failures) {
+  console.error(`${failures} provider check(s) failed`);
+  process.exit(1);
+}
+console.log("provider layer ok");
@@ -0,0 +1,127 @@
+// Checks the timing indicators (lib/indicators.js) against reference values and every verdict branch of
+// lib/technicals.js. The 60-bar series below is fixed; its expected MACD, Bollinger and ATR figures were
+// computed independently (the `technicalindicators` npm package, EMAs seeded with the SMA, Wilder ATR).
+// Run from the repo root with Node 18+: node scripts/check-technicals.mjs
+import { atrSeries, atrVolatility, bollinger, emaSeries, macd, smaCrossover, smaSeries } from "../lib/indicators.js";
+import { TECHNICAL_CONFIG, computeTechnicalTiming, technicalIndicators } from "../lib/technicals.js";
+
+let failures = 0;
+const expect = (ok, label, detail = "") => {
+  console.log(`${ok ? "ok  " : "FAIL"} ${label}${ok || !detail ? "" : `\n     ${detail}`}`);
+  if (!ok) failures++;
+};
+const near = (a, b, tolerance = 1e-4) => Number.isFinite(a) && Math.abs(a - b) <= tolerance;
+
+/* -------------------- reference series -------------------- */
+
+const close = [
+  49.04, 48.19, 48.26, 47.88, 47.23, 47.88, 47.38, 47.52, 47.19, 46.65, 45.78, 45.86, 46.74, 45.88, 46.74, 47.34, 48.32, 47.89, 48.79, 49.56,
+  50.49, 50.55, 51.46, 52.14, 51.24, 50.48, 50.27, 50.07, 50.21, 51.21, 51.38, 51.72, 51.83, 52.02, 51.35, 50.96, 51.77, 51.25, 52.06, 51.77,
+  50.78, 50.94, 50.61, 50.64, 50.99, 50.55, 50.51, 50.57, 51.25, 50.7, 49.94, 49.38, 49.21, 49.91, 49.52, 50.39, 50.27, 50.8, 51.41, 51.42
+];
+const high = [
+  49.69, 49.25, 48.93, 48.3, 47.81, 48.46, 48.32, 48.2, 48.19, 47.43, 46.36, 46.16, 47.26, 46.8, 47.23, 48.49, 49.32, 48.71, 49.82, 49.76,
+  51.24, 51.6, 52.66, 52.85, 51.49, 51.03, 50.94, 50.44, 51.33, 52.4, 51.95, 52.42, 52.29, 53.13, 52.51, 51.99, 52.45, 51.55, 52.52, 52.83,
+  51, 51.44, 51.45, 51.6, 51.68, 51.25, 51.01, 50.89, 51.95, 51.67, 50.71, 50.09, 49.57, 50.84, 49.96, 51.28, 50.98, 51.01, 51.63, 52.23
+];
+const low = [
+  48.53, 47.58, 47.59, 46.97, 46.44, 47.6, 46.59, 47.09, 46.98, 45.74, 44.69, 45.05, 45.64, 44.87, 46.37, 46.41, 47.69, 47.67, 48.24, 48.69,
+  49.61, 49.92, 50.83, 51.71, 50.21, 49.73, 49.96, 49.3, 49.91, 50.24, 50.32, 51.21, 50.67, 51.67, 50.46, 50.4, 51.06, 50.25, 51.1, 51.14,
+  50.55, 49.93, 49.42, 50.27, 50.55, 49.73, 49.82, 49.74, 50.49, 50.13, 49.35, 48.26, 48.17, 49.47, 49.01, 49.63, 49.63, 49.82, 50.43, 51.21
+];
+
+const m = macd(close);
+expect(near(m.macd, 0.1439) && near(m.signal, 0.0755) && near(m.histogram, 0.0684) && near(m.prevHistogram, 0.0145),
+  "MACD(12,26,9) matches the reference", JSON.stringify(m));
+expect(macd(close.slice(0, 34)) === null && macd(close.slice(0, 35)) !== null, "MACD needs slow + signal closes");
+
+const b = bollinger(close);
+expect(near(b.middle, 50.4895) && near(b.upper, 51.716) && near(b.lower, 49.263) && near(b.percentB, 0.8793),
+  "Bollinger(20, 2) and %B match the reference", JSON.stringify(b));
+
+const atr = atrSeries(high, low, close, 14);
+expect(near(atr[59], 1.404396) && atr[13] === null && atr[14] !== null, "Wilder ATR(14) matches the reference", `${atr[59]}`);
+
+/* -------------------- closed-form cases -------------------- */
+
+// On a straight line every EMA lags by (period − 1) / 2 steps, so MACD(12, 26) = 7 × slope with a flat histogram.
+const ramp = Array.from({ length: 80 }, (_, i) => 100 + 0.5 * i);
+const rm = macd(ramp);
+expect(near(rm.macd, 3.5) && near(rm.signal, 3.5) && near(rm.histogram, 0), "MACD of a straight line is 7 × slope", JSON.stringify(rm));
+expect(near(emaSeries(ramp, 10)[79], ramp[79] - 0.5 * 4.5) && near(smaSeries(ramp, 10)[79], ramp[79] - 0.5 * 4.5), "EMA and SMA lag a line by (n − 1) / 2");
+
+// 1…20: mean 10.5, population variance (20² − 1) / 12.
+const sd = Math.sqrt(399 / 12);
+const steps = Array.from({ length: 20 }, (_, i) => i + 1);
+expect(near(bollinger(steps).percentB, (20 - (10.5 - 2 * sd)) / (4 * sd)), "%B of 1…20 uses the population deviation");
+expect(bollinger(Array(20).fill(7)).percentB === 0.5, "%B of a flat window is 0.5");
+
+const flat = Array(40).fill(10);
+const v = atrVolatility(flat.map(c => c + 1), flat.map(c => c - 1), flat, 14, 20);
+expect(v.atr === 2 && v.atrPct === 20, "ATR of a constant 2-point range is 2 (20% of 10)", JSON.stringify(v));
+
+/* -------------------- crossovers -------------------- */
+
+// Falling for 60 sessions, then a sharp rally: the 5-day average crosses above the 20-day one.
+const rally = [...Array.from({ length: 60 }, (_, i) => 100 - 0.5 * i), ...Array.from({ length: 8 }, (_, i) => 70 + 6 * i)];
+const golden = smaCrossover(rally, 5, 20, 10);
+expect(golden.crossed === "golden" && golden.above && golden.sessionsAgo === 4, "golden cross inside the lookback", JSON.stringify(golden));
+expect(smaCrossover(rally, 5, 20, 4).crossed === null, "a cross older than the lookback is ignored");
+const drop = rally.map(x => 200 - x);
+const death = smaCrossover(drop, 5, 20, 10);
+expect(death.crossed === "death" && !death.above && death.sessionsAgo === 4, "death cross inside the lookback", JSON.stringify(death));
+
+/* -------------------- verdict branches -------------------- */
+
+const component = (indicators, input) => computeTechnicalTiming(indicators, "2026-10-16").components.find(c => c.input === input);
+const vote = (indicators, input) => component(indicators, input)?.vote;
+
+const macdCase = (histogram, prevHistogram) => ({ macd: { histogram, prevHistogram } });
+expect(vote(macdCase(0.1, -0.1), "macd") === 1 && component(macdCase(0.1, -0.1), "macd").label === "Crossed above signal", "MACD cross above signal: +1");
+expect(vote(macdCase(-0.1, 0.1), "macd") === -1 && component(macdCase(-0.1, 0.1), "macd").label === "Crossed below signal", "MACD cross below signal: −1");
+expect(vote(macdCase(0.3, 0.2), "macd") === 1, "MACD widening above zero: +1");
+expect(vote(macdCase(-0.3, -0.2), "macd") === -1, "MACD widening below zero: −1");
+expect(vote(macdCase(0.2, 0.3), "macd") === 0 && vote(macdCase(-0.2, -0.3), "macd") === 0, "MACD fading on either side: 0");
+
+const bandCase = (percentB) => ({ bollinger: { percentB } });
+expect(vote(bandCase(0.2), "bollinger") === 1 && vote(bandCase(-0.1), "bollinger") === 1, "%B at or below 0.2: +1");
+expect(vote(bandCase(0.8), "bollinger") === -1 && vote(bandCase(1.1), "bollinger") === -1, "%B at or above 0.8: −1");
+expect(vote(bandCase(0.5), "bollinger") === 0, "%B inside the bands: 0");
+
+const pair = (fast, slow, crossed = null, sessionsAgo = null) => ({ fast, slow, above: fast > slow, crossed, sessionsAgo });
+expect(vote({ dmaShort: pair(99, 100), dmaLong: pair(101, 100, "golden", 3) }, "dma") === 1, "golden 50/200 cross outweighs the 20/50 order: +1");
+expect(vote({ dmaShort: pair(101, 100), dmaLong: pair(99, 100, "death", 0) }, "dma") === -1, "death 50/200 cross: −1");
+expect(vote({ dmaShort: pair(99, 100, "death", 2), dmaLong: pair(101, 100) }, "dma") === -1, "death 20/50 cross without a 50/200 one: −1");
+expect(vote({ dmaShort: pair(102, 101), dmaLong: pair(101, 100) }, "dma") === 1, "20 > 50 > 200 without a cross: +1");
+expect(vote({ dmaShort: pair(99, 100), dmaLong: pair(99, 100) }, "dma") === -1, "20 < 50 < 200 without a cross: −1");
+expect(vote({ dmaShort: pair(101, 100), dmaLong: pair(99, 100) }, "dma") === 0, "mixed order: 0");
+
+const atrCase = (percentile) => ({ atr: { atr: 1, atrPct: 1, percentile } });
+expect(vote(atrCase(80), "atr") === -1 && vote(atrCase(79), "atr") === 0, "ATR from the 80th percentile up: −1");
+
+const series = (n) => {
+  const c = Array.from({ length: n }, (_, i) => 100 + 0.1 * i + 2 * Math.sin(i / 7));
+  return { closes: c, highs: c.map(x => x + 0.5), lows: c.map(x => x - 0.5) };
+};
+const short = computeTechnicalTiming(technicalIndicators(series(120)), "2026-10-16");
+const dmaShort = short.components.find(c => c.input === "dma");
+expect(technicalIndicators(series(120)).dmaLong === null && dmaShort && !dmaShort.label.includes(String(TECHNICAL_CONFIG.dma.long)) && dmaShort.reason.startsWith("20D vs 50D"),
+  "under 200 bars the DMA vote uses 20/50 only", dmaShort?.reason);
+const full = computeTechnicalTiming(technicalIndicators(series(260)), "2026-10-16");
+expect(full.components.map(c => c.input).join() === "macd,bollinger,dma,atr" && full.components.every(c => c.asOf === "2026-10-16" && c.label),
+  "a year of bars gives all four components with value, label and asOf");
+
+const verdictOf = (votes) => computeTechnicalTiming({
+  ...macdCase(votes[0] > 0 ? 0.3 : votes[0] < 0 ? -0.3 : 0.2, votes[0] > 0 ? 0.2 : votes[0] < 0 ? -0.2 : 0.3),
+  ...bandCase(votes[1] > 0 ? 0.1 : votes[1] < 0 ? 0.9 : 0.5)
+});
+expect(verdictOf([1, 1]).verdict === "good" && verdictOf([-1, -1]).verdict === "wait" && verdictOf([1, -1]).verdict === "neutral",
+  "weighted mean maps to good / neutral / wait");
+expect(verdictOf([1, 0]).score === 0.5 && verdictOf([1, 0]).verdict === "good", "score 0.5 is good");
+expect(computeTechnicalTiming({}).verdict === "unknown" && computeTechnicalTiming({}).score === null, "no indicators: unknown");
+
+if (failures) {
+  console.error(`${failures} technicals check(s) failed`);
+  process.exit(1);
+}
+console.log("technical indicators ok");
@@ -0,0 +1,10 @@
+// Prints a VAPID key pair for Web Push alerts (base64url). Node 18+: node scripts/generate-vapid-keys.mjs
+import { webcrypto as crypto } from "node:crypto";
+import { bytesToBase64Url } from "../functions/_lib/webpush.js";
+
+const pair = await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, ["sign", "verify"]);
+const publicKey = new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey));
+const jwk = await crypto.subtle.exportKey("jwk", pair.privateKey);
+
+console.log(`VAPID_PUBLIC_KEY=${bytesToBase64Url(publicKey)}`);
+console.log(`VAPID_PRIVATE_KEY=${jwk.d}`);
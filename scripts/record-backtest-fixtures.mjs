@@ -0,0 +1,22 @@
+// Records the raw upstream payloads used by /api/backtest into fixtures/backtest/.
+// Run from the repo root with Node 18+: node scripts/record-backtest-fixtures.mjs
+import { writeFile, mkdir } from "node:fs/promises";
+import { FIXTURE_DIR, FIXTURE_FILES } from "../lib/backtest.js";
+
+const outDir = new URL(`..${FIXTURE_DIR}/`, import.meta.url);
+await mkdir(outDir, { recursive: true });
+
+for (const [key, spec] of Object.entries(FIXTURE_FILES)) {
+  const res = await fetch(spec.url, {
+    headers: {
+      "user-agent": "Mozilla/5.0",
+      "accept": spec.format === "yahoo" ? "application/json,text/plain,*/*" : "text/csv,text/plain;q=0.9,*/*;q=0.8"
+    }
+  });
+
+  if (!res.ok) throw new Error(`${key}: HTTP ${res.status} from ${spec.url}`);
+
+  const text = await res.text();
+  await writeFile(new URL(spec.file, outDir), text);
+  console.log(`${key} → ${FIXTURE_DIR}/${spec.file} (${text.length} bytes)`);
+}
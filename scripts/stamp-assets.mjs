@@ -0,0 +1,36 @@
+// Writes a content hash of the service worker's ASSETS into sw.js (ASSET_VERSION), so every deploy that
+// changes a page asset gets a new asset cache and a new worker. It is the Pages build command, and CI
+// (.github/workflows/checks.yml) runs --check so an unstamped commit fails. Run from the repo root:
+//   node scripts/stamp-assets.mjs          rewrite sw.js if the hash changed
+//   node scripts/stamp-assets.mjs --check  exit 1 if sw.js is out of date
+import { readFile, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+
+const root = new URL("../", import.meta.url);
+const swUrl = new URL("sw.js", root);
+const sw = await readFile(swUrl, "utf8");
+
+const list = /const ASSETS = (\[[^\]]*\]);/.exec(sw);
+if (!list) throw new Error("sw.js: ASSETS list not found");
+
+// "/" is index.html again, and sw.js cannot hash itself.
+const files = JSON.parse(list[1]).filter(path => path !== "/" && path !== "/sw.js").sort();
+
+const hash = createHash("sha256");
+for (const path of files) {
+  hash.update(`${path}\n`);
+  hash.update(await readFile(new URL(`.${path}`, root)));
+}
+const version = hash.digest("hex").slice(0, 12);
+
+if (!/const ASSET_VERSION = "[^"]*";/.test(sw)) throw new Error("sw.js: ASSET_VERSION not found");
+const stamped = sw.replace(/const ASSET_VERSION = "[^"]*";/, `const ASSET_VERSION = "${version}";`);
+if (stamped === sw) {
+  console.log(`sw.js is up to date (${version}, ${files.length} assets)`);
+} else if (process.argv.includes("--check")) {
+  console.error(`sw.js is out of date: run node scripts/stamp-assets.mjs (expected ${version})`);
+  process.exit(1);
+} else {
+  await writeFile(swUrl, stamped);
+  console.log(`sw.js stamped ${version} (${files.length} assets)`);
+}
@@ -1,5 +1,17 @@
-const CACHE_NAME = "gold-radar-v31";
-const ASSETS = ["/", "/index.html", "/manifest.json", "/sw.js", "/icons/icon-192.png", "/icons/icon-512.png"];
+// ASSET_VERSION is a content hash of ASSETS, written by `node scripts/stamp-assets.mjs` before each deploy:
+// any asset change renames the asset cache, which changes this file, which installs the new worker.
+const ASSET_VERSION = "63f7484884e0";
+const CACHE_NAME = `gold-radar-${ASSET_VERSION}`;
+const ASSETS = ["/", "/index.html", "/manifest.json", "/sw.js", "/lib/scoring.js", "/lib/fed.js", "/lib/series.js", "/lib/profiles.js", "/lib/alerts.js", "/lib/portfolio.js", "/lib/sip.js", "/lib/instruments.js", "/lib/fairvalue.js", "/lib/contract.js", "/lib/market-client.js", "/lib/charts.js", "/lib/backtest.js", "/lib/indicators.js", "/lib/journal.js", "/lib/georisk.js", "/lib/explain.js", "/lib/markets.js", "/lib/state.js", "/lib/provenance.js", "/lib/report.js", "/lib/technicals.js", "/icons/icon-192.png", "/icons/icon-512.png"];
+
+// API responses live in their own cache so a deploy does not throw away the offline copy.
+const DATA_CACHE = "gold-radar-data";
+// Every query-string variant is its own entry; beyond this many, the least recently written ones go.
+const DATA_CACHE_MAX_ENTRIES = 40;
+const CACHED_AT_HEADER = "x-sw-cached-at";
+// Same as /api/market's max-age: a younger copy is served without asking the network again.
+const MARKET_FRESH_MS = 60 * 1000;
+const SYNC_TAG = "refresh-market";
 
 self.addEventListener("install", (event) => {
   event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS)));
@@ -8,24 +20,137 @@ self.addEventListener("install", (event) => {
 
 self.addEventListener("activate", (event) => {
   event.waitUntil(
-    caches.keys().then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+    caches.keys().then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME && k !== DATA_CACHE).map(k => caches.delete(k))))
   );
   self.clients.claim();
 });
 
 self.addEventListener("fetch", (event) => {
+  if (event.request.method !== "GET") return;
   const url = new URL(event.request.url);
 
+  if (url.pathname === "/api/market") {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
+  // An offline copy of the synced state would be merged as if it were current; let sync fail instead.
+  if (url.pathname === "/api/sync") return;
+
   if (url.pathname.startsWith("/api/")) {
-    event.respondWith(
-      fetch(event.request).then((res) => {
-        const copy = res.clone();
-        caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
-        return res;
-      }).catch(() => caches.match(event.request))
-    );
+    event.respondWith(caches.open(DATA_CACHE).then(cache =>
+      refreshEntry(cache, event.request).catch(() => cache.match(event.request).then(cached => cached || offlineResponse()))
+    ));
     return;
   }
 
   event.respondWith(caches.match(event.request).then((cached) => cached || fetch(event.request)));
 });
+
+/* -------------------- /api/market: stale-while-revalidate -------------------- */
+
+// The cached copy answers at once; an older one is refreshed in the background and open pages are told
+// to re-read it. With no network the refresh is queued for Background Sync (the page also refetches on "online").
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(event.request);
+
+  if (!cached) {
+    return refreshEntry(cache, event.request).catch(() => {
+      queueSync();
+      return offlineResponse();
+    });
+  }
+
+  const age = Date.now() - Date.parse(cached.headers.get(CACHED_AT_HEADER));
+  if (!(age < MARKET_FRESH_MS)) {
+    event.waitUntil(
+      refreshEntry(cache, event.request)
+        .then(res => { if (res.ok) return notifyClients(); })
+        .catch(queueSync)
+    );
+  }
+  return cached;
+}
+
+// Fetches and, on success, stores the response stamped with the time it was cached.
+async function refreshEntry(cache, request) {
+  const res = await fetch(request);
+  if (res.ok) {
+    const headers = new Headers(res.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    await cache.put(request, new Response(await res.clone().blob(), { status: res.status, statusText: res.statusText, headers }));
+    await trimDataCache(cache);
+  }
+  return res;
+}
+
+// cache.keys() lists entries oldest-written first (a put replaces and appends), so the front of the list goes.
+async function trimDataCache(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - DATA_CACHE_MAX_ENTRIES)).map(req => cache.delete(req)));
+}
+
+function offlineResponse() {
+  return new Response(JSON.stringify({ error: "offline", message: "offline and nothing cached yet" }), {
+    status: 503,
+    headers: { "content-type": "application/json; charset=utf-8" }
+  });
+}
+
+function queueSync() {
+  return self.registration.sync?.register(SYNC_TAG).catch(() => {});
+}
+
+async function notifyClients() {
+  const wins = await self.clients.matchAll({ type: "window" });
+  wins.forEach(w => w.postMessage({ type: "market-updated" }));
+}
+
+// Connectivity is back: refresh every cached /api/market variant. Throwing makes the browser retry later.
+self.addEventListener("sync", (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil((async () => {
+    const cache = await caches.open(DATA_CACHE);
+    const keys = (await cache.keys()).filter(req => new URL(req.url).pathname === "/api/market");
+    const results = await Promise.allSettled(keys.map(req => refreshEntry(cache, new Request(req.url, { cache: "no-store" }))));
+    if (keys.length && results.every(r => r.status === "rejected")) throw new Error("still offline");
+    await notifyClients();
+  })());
+});
+
+// Alert pushes carry no payload; pull the pending messages for this subscription instead.
+self.addEventListener("push", (event) => {
+  event.waitUntil((async () => {
+    let messages = [];
+    try {
+      const sub = await self.registration.pushManager.getSubscription();
+      const res = await fetch("/api/alerts/inbox", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ endpoint: sub?.endpoint })
+      });
+      if (res.ok) messages = (await res.json()).messages || [];
+    } catch (e) {}
+
+    if (!messages.length) messages = [{ title: "Gold Radar alert", body: "Open the radar for the latest signal." }];
+
+    await Promise.all(messages.map(m => self.registration.showNotification(m.title, {
+      body: m.body,
+      tag: m.ruleId || "gold-radar",
+      icon: "/icons/icon-192.png",
+      badge: "/icons/icon-192.png",
+      data: { url: "/" }
+    })));
+  })());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((wins) => {
+      const open = wins.find(w => new URL(w.url).pathname === "/");
+      return open ? open.focus() : self.clients.openWindow(event.notification.data?.url || "/");
+    })
+  );
+});
@@ -0,0 +1,53 @@
+import { getStore } from "../../functions/_lib/store.js";
+import { indexLegacySnapshots, recordSnapshot } from "../../functions/_lib/history.js";
+import { refreshDueFactors, readCachedMarket, readDailySeries, refreshInstruments, refreshLocalMarkets } from "../../functions/_lib/factor-cache.js";
+import { runAlertCycle } from "../../functions/_lib/alert-runner.js";
+import { createWebPushSender } from "../../functions/_lib/webpush.js";
+import { fairValueConfigFromEnv } from "../../lib/fairvalue.js";
+import { defaultHttpClient } from "../../functions/_lib/providers.js";
+
+// Scheduled Worker (Pages Functions cannot run on a cron). Deploy from this folder: wrangler deploy
+// It shares the RADAR_KV namespace with the Pages project.
+//
+// Every 5 minutes: refresh the factors that are due (see FACTOR_SCHEDULE), the per-instrument factors
+// (INSTRUMENT_SCHEDULE), the non-default markets (MARKET_SCHEDULE), the chart histories (SERIES_SCHEDULE)
+// and record a snapshot of the market payload.
+// Every 15 minutes: evaluate alert rules against the refreshed payload.
+
+const ALERT_EVERY_MINUTES = 15;
+
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduled(env, new Date(event.scheduledTime)));
+  }
+};
+
+// http: optional client from createHttpClient(); tests pass one built on a fake fetch.
+export async function runScheduled(env, now = new Date(), { sender = null, http = defaultHttpClient() } = {}) {
+  const store = getStore(env);
+
+  const refresh = await refreshDueFactors(store, { now, http });
+  refresh.instruments = (await refreshInstruments(store, { now, http })).refreshed;
+  refresh.markets = (await refreshLocalMarkets(store, { now, http })).refreshed;
+  refresh.series = (await readDailySeries(store, { now, http })).refreshed;
+  const market = await readCachedMarket(store, { now, http, fomcBias: env.FOMC_BIAS, fairValue: fairValueConfigFromEnv(env) });
+  await indexLegacySnapshots(store);
+  await recordSnapshot(store, market);
+  refresh.circuits = http.breaker.snapshot();
+  console.log(JSON.stringify({ job: "refresh", at: now.toISOString(), ...refresh }));
+
+  if (now.getUTCMinutes() % ALERT_EVERY_MINUTES !== 0) return { refresh };
+
+  const alerts = await runAlertCycle({
+    store,
+    market,
+    sender: sender || createWebPushSender({
+      publicKey: env.VAPID_PUBLIC_KEY,
+      privateKey: env.VAPID_PRIVATE_KEY,
+      subject: env.VAPID_SUBJECT
+    })
+  });
+  console.log(JSON.stringify({ job: "alerts", marketAsOf: market.asOf, ...alerts }));
+
+  return { refresh, alerts };
+}